@@ -12,6 +12,7 @@ export class BufferManager {
     this.mediaStore = mediaStore;
     this.map = new Map();
     this.gcTimer = null;
+    this.closing = false; // set by flushAll(): late messages flush immediately
   }
 
   keyOf(meta) { return `${meta.accountId}::${meta.label}::${meta.chatId}`; }
@@ -31,6 +32,19 @@ export class BufferManager {
     }
   }
 
+  // Shutdown: write every open window as a pending turn now instead of waiting for its debounce.
+  async flushAll() {
+    this.closing = true;
+    this.stopGC();
+    const keys = Array.from(this.map.keys());
+    for (const k of keys) {
+      const st = this.map.get(k);
+      try { if (st?.timer) clearTimeout(st.timer); } catch {}
+    }
+    await Promise.allSettled(keys.map((k) => this.flushKey(k)));
+    return keys.length;
+  }
+
   // evt from sessionManager: { id, accountId, sessionId(label), chatId, fromMe, body, messageType, hasMedia, waTimestamp, mediaUrlPath? }
   push(evt) {
     if (!evt || evt.fromMe) return; // never react to our own outbound
@@ -87,7 +101,7 @@ export class BufferManager {
 
     if (st.timer) clearTimeout(st.timer);
     const wantsImmediate = text && isFinalizer(text, this.cfg.finalizerWords);
-    const delay = wantsImmediate ? 0 : (this.cfg.debounceMs || 30_000);
+    const delay = (wantsImmediate || this.closing) ? 0 : (this.cfg.debounceMs || 30_000);
     st.timer = setTimeout(() => this.flushKey(k), delay);
 
     this.map.set(k, st);
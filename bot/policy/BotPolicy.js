@@ -3,6 +3,7 @@
 // - Session-level toggle: /accounts/{aid}/sessions/{label}.bot.enabled (default true)
 // - Per-chat opt-out (optional): either thread doc field or settings/__root__ doc
 // - Skip if inbound sender equals this session's own waId
+// - Skip blocked senders: /accounts/{aid}/sessions/{label}.blocklist.ids (mirrored by the session manager)
 
 export class BotPolicy {
   constructor({ db, ttlMs = 60_000 }) {
@@ -31,7 +32,8 @@ export class BotPolicy {
     const bot = raw.bot || {};
     const data = {
       enabled: bot.enabled !== false,           // default ON
-      selfWaId: raw.waId || null                // session's own number (e.g. "52...@c.us")
+      selfWaId: raw.waId || null,               // session's own number (e.g. "52...@c.us")
+      blocked: new Set(Array.isArray(raw.blocklist?.ids) ? raw.blocklist.ids : [])
     };
 
     this._sessionCache.set(k, { at: this._now(), data });
@@ -83,12 +85,19 @@ export class BotPolicy {
     // If sender is the *same number* as this session, never trigger.
     if (sess.selfWaId && senderWaId && sess.selfWaId === senderWaId) return false;
 
+    if (senderWaId && sess.blocked.has(senderWaId)) return false;
+
     const chat = await this._getChat(aid, label, chatId);
     if (chat.botEnabled === false) return false;
 
     return true;
   }
 
+  // Drop the cached session doc (e.g. after a blocklist_updated event).
+  invalidateSession(aid, label) {
+    this._sessionCache.delete(this._sessKey(aid, label));
+  }
+
   // Should we send a ready response now? (in case toggled off mid-flight)
   async allowSend({ aid, label, chatId }) {
     const sess = await this._getSession(aid, label);
@@ -1,10 +1,41 @@
 // bot/watchers/TurnOutboxWatcher.js
 export class TurnOutboxWatcherHub {
-  constructor({ db, sessions, policy }) {
+  constructor({ db, sessions, policy, sendQueue, typing = null }) {
     this.db = db;
     this.sessions = sessions;
     this.policy = policy;
+    this.sendQueue = sendQueue; // bot replies go out ahead of REST/bulk traffic
+    this.typing = typing;       // botConfig.typing: simulated typing before replies (optional)
     this.watchers = new Map();
+    this.inflight = new Map(); // ref.path -> { ref, promise } for claims being sent
+    this.released = new Set(); // claims handed back on shutdown; skip their final write
+    this.stopping = false;
+  }
+
+  // Shutdown: stop watching, let running sends finish under a deadline, then hand any
+  // claim still stuck in 'sending' back to 'ready' so the next boot picks it up.
+  async stop({ timeoutMs = 10_000 } = {}) {
+    this.stopping = true;
+    for (const k of Array.from(this.watchers.keys())) {
+      const [aid, label] = k.split('::');
+      this._dropWatcher(aid, label);
+    }
+
+    const pending = Array.from(this.inflight.values()).map((x) => x.promise);
+    if (pending.length) {
+      let timer = null;
+      await Promise.race([
+        Promise.allSettled(pending),
+        new Promise((r) => { timer = setTimeout(r, timeoutMs); }),
+      ]);
+      clearTimeout(timer);
+    }
+
+    const stuck = Array.from(this.inflight.values());
+    for (const { ref } of stuck) this.released.add(ref.path);
+    await Promise.allSettled(stuck.map(({ ref }) =>
+      ref.update({ status: 'ready', claimedAt: null, releasedAt: new Date() })));
+    return { released: stuck.length };
   }
 
   async start() {
@@ -29,6 +60,16 @@ export class TurnOutboxWatcherHub {
     console.log('[TurnOutboxWatcherHub] started');
   }
 
+  // "typing…" (or "recording audio…" for voice notes) for a time proportional to the reply;
+  // the send queue shows it right before the job is sent.
+  _typingFor(job) {
+    const t = this.typing;
+    if (!t?.enabled) return null;
+    if (job.options?.sendAudioAsVoice) return { state: 'recording', ms: t.voiceMs };
+    const text = job.text || job.options?.caption || '';
+    return { state: 'typing', ms: Math.min(t.maxMs, Math.max(t.minMs, String(text).length * t.msPerChar)) };
+  }
+
   _key(aid, label) { return `${aid}::${label}`; }
   _dropWatcher(aid, label) {
     const k = this._key(aid, label);
@@ -52,8 +93,8 @@ export class TurnOutboxWatcherHub {
         for (const change of snap.docChanges()) {
           if (!['added','modified'].includes(change.type)) continue;
           const data = change.doc.data() || {};
-          if (data.status !== 'ready') continue;
-          try { await this._processTurnDoc(change.doc.ref, data); }
+          if (data.status !== 'ready' || this.stopping) continue;
+          try { await this._trackTurnDoc(change.doc.ref, data); }
           catch (e) { console.error('[TurnOutboxWatcherHub] processTurnDoc error', e); }
         }
       },
@@ -64,6 +105,12 @@ export class TurnOutboxWatcherHub {
     console.log('[TurnOutboxWatcherHub] watcher started', k);
   }
 
+  _trackTurnDoc(ref, data) {
+    const promise = this._processTurnDoc(ref, data).finally(() => this.inflight.delete(ref.path));
+    this.inflight.set(ref.path, { ref, promise });
+    return promise;
+  }
+
   async _processTurnDoc(ref, data) {
     const claimed = await this.db.runTransaction(async (tx) => {
       const snap = await tx.get(ref);
@@ -89,23 +136,35 @@ export class TurnOutboxWatcherHub {
     if (!allow) { await ref.update({ status: 'skipped', skippedAt: new Date(), error: null }); return; }
 
     try {
-      let waMessageId = null;
       const modality = String(response.modality || 'text');
+      // Stable jobId per turn: a turn re-claimed after a restart reuses the queued/sent job.
+      const job = { accountId, label, to: chatId, priority: 'high', source: 'bot', jobId: `turn_${ref.id}` };
 
       if (modality === 'voice' && response.audio?.url) {
         // send audio, caption = text (if any)
-        const media = { url: response.audio.url };
-        const options = { caption: (response.text || '').trim(), sendAudioAsVoice: true };
-        const msg = await this.sessions.sendMedia({ accountId, label, to: chatId, media, options });
-        waMessageId = msg?.id?._serialized || null;
+        job.kind = 'media';
+        job.media = { url: response.audio.url };
+        job.options = { caption: (response.text || '').trim(), sendAudioAsVoice: true };
       } else {
-        const text = String(response.text || '').trim() || 'Mensaje listo.';
-        const msg = await this.sessions.sendText({ accountId, label, to: chatId, text });
-        waMessageId = msg?.id?._serialized || null;
+        job.kind = 'text';
+        job.text = String(response.text || '').trim() || 'Mensaje listo.';
       }
 
+      job.typing = this._typingFor(job);
+
+      const { done } = await this.sendQueue.enqueue(job);
+      const waMessageId = (await done)?.id || null;
+
+      if (this.released.has(ref.path)) return;
       await ref.update({ status: 'delivered', deliveredAt: new Date(), waMessageId, error: null });
     } catch (e) {
+      if (this.released.has(ref.path)) return;
+      // Refused because the server is going down: not the turn's fault, hand it to the next boot.
+      if (this.stopping || /shutting down/i.test(String(e?.message || e))) {
+        this.released.add(ref.path);
+        await ref.update({ status: 'ready', claimedAt: null, releasedAt: new Date() });
+        return;
+      }
       console.error('[TurnOutboxWatcherHub] send failed', e);
       await ref.update({ status: 'error', error: { stage: 'send', detail: String(e?.message || e) } });
     }
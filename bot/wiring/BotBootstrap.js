@@ -5,7 +5,7 @@ import { TurnOutboxWatcherHub } from '../watchers/TurnOutboxWatcher.js';
 import { BotPolicy } from '../policy/BotPolicy.js';
 import { MediaStore } from '../../media/MediaStore.js';
 
-export function initBot({ db, sessions, config = {} }) {
+export function initBot({ db, sessions, sendQueue, config = {} }) {
   const cfg = { ...botConfigDefaults, ...config };
   const policy = new BotPolicy({ db });
   const mediaStore = new MediaStore({ sessions });
@@ -15,15 +15,27 @@ export function initBot({ db, sessions, config = {} }) {
 
   sessions.on('evt', (evt) => {
     try {
-      if (!evt || evt.type !== 'message') return;
+      if (!evt) return;
+      if (evt.type === 'blocklist_updated') return policy.invalidateSession(evt.accountId, evt.sessionId);
+      if (evt.type !== 'message') return;
       buffers.push(evt);
     } catch (e) {
       console.error('[BotBootstrap] push failed', e);
     }
   });
 
-  const hub = new TurnOutboxWatcherHub({ db, sessions, policy });
+  const hub = new TurnOutboxWatcherHub({ db, sessions, policy, sendQueue, typing: cfg.typing });
   hub.start().catch((e) => console.error('[OutboxWatcherHub.start] error', e));
 
   console.log('[BotBootstrap] Bot initialized: debounce=%dms, gcIdle=%dms', cfg.debounceMs, cfg.gcIdleMs);
+
+  return {
+    policy,
+    buffers,
+    hub,
+    // Persist open windows as pending turns.
+    flushBuffers: () => buffers.flushAll(),
+    // Wait for outbox sends in flight; unfinished claims go back to 'ready'.
+    drainOutbox: ({ timeoutMs } = {}) => hub.stop({ timeoutMs }),
+  };
 }
@@ -0,0 +1,17 @@
+// config/archiveConfig.js
+// Knobs for the Firestore message archive (lib/archiver.js).
+
+export default {
+  // Off by default: every message becomes a Firestore write.
+  enabled: false,
+
+  // Backfill (first ready per session, or POST /admin/archive/backfill)
+  backfill: {
+    onFirstReady: true,
+    maxChats: 200,          // most recent chats first
+    messagesPerChat: 500,   // how far back each chat is read
+    pageSize: 100,          // getChatMessages page size
+    pauseMs: [300, 900],    // random pause between pages, keeps the browser responsive
+    batchSize: 400,         // Firestore batch limit is 500 writes
+  },
+};
@@ -24,6 +24,16 @@ export default {
     'en texto', 'por texto', 'escríbeme', 'escribeme', 'escrito'
   ],
 
+  // Simulated "typing…" / "recording audio…" before each bot reply, proportional to its length.
+  // Keep maxMs under ~20s (WhatsApp drops the state after ~25s) and under the shutdown deadline.
+  typing: {
+    enabled: false,
+    msPerChar: 40,     // ~25 chars/s, a fast typist
+    minMs: 1_200,
+    maxMs: 8_000,
+    voiceMs: 4_000,    // fixed "recording" time for voice replies
+  },
+
   // Firestore path builder (do not change the structure; tools rely on it).
   paths: {
     threadTurnDoc(db, { accountId, label, chatId, windowId }) {
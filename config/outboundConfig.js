@@ -0,0 +1,41 @@
+// config/outboundConfig.js
+// Knobs for the durable outbound send queue (lib/sendQueue.js).
+
+export default {
+  // Per-session pacing: at most perMinute sends, plus a random human-like pause between them.
+  perMinute: 20,
+  jitterMs: [800, 2500],
+
+  // Retries for transient failures (browser hiccups, timeouts). Waiting for a session
+  // that isn't ready does not consume attempts.
+  maxAttempts: 5,
+  retryBaseMs: 5_000,
+  retryMaxMs: 5 * 60_000,
+  notReadyRecheckMs: 5_000,
+
+  // POST /messages/send(Media) with `async: true`: how long to wait before answering 202 + jobId.
+  waitMs: 25_000,
+  // Without `async`, the request waits for the send like a direct send; past this, 504 + jobId.
+  syncMaxWaitMs: 120_000,
+
+  // Inline base64 media larger than this is kept in memory only (Firestore docs max out at 1 MiB);
+  // such jobs cannot survive a restart.
+  inlineMediaMaxChars: 700_000,
+
+  // How long an idempotencyKey on /messages/send(Media) remembers its result.
+  idempotencyRetentionMs: 24 * 60 * 60_000,
+  // A pending key with no live queue job is only taken over by a retry once it is this old
+  // (its request crashed between claiming the key and enqueueing); before that the retry gets 409.
+  idempotencyStaleMs: 60_000,
+
+  // How many finished jobs GET /messages/queue returns.
+  recentLimit: 50,
+
+  // Scheduled messages (lib/scheduler.js)
+  schedule: {
+    tickMs: 15_000,                         // how often due schedules are checked
+    defaultTimezone: 'America/Mexico_City', // when a request omits `timezone`
+    staleSendingMs: 10 * 60_000,            // a claim older than this is settled from its queue job
+    maxAheadMs: 366 * 24 * 60 * 60_000,     // reject sendAt further out than this
+  },
+};
@@ -0,0 +1,16 @@
+// config/searchConfig.js
+// Knobs for message search (lib/searchIndex.js). The index is built from the message archive,
+// so search needs config/archiveConfig.js `enabled: true`.
+
+export default {
+  minTokenLength: 2,
+  defaultLimit: 20,
+  maxLimit: 100,
+  snippetChars: 160,
+
+  // Rebuild reads the archive thread by thread in pages of this size.
+  rebuildPageSize: 500,
+
+  // Per-session cap; the oldest messages are evicted past this.
+  maxDocsPerSession: 200_000,
+};
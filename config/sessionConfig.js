@@ -0,0 +1,50 @@
+// config/sessionConfig.js
+// Central knobs for the WA session manager.
+
+import storageCfg from './storageConfig.js';
+
+export default {
+  // Where WhatsApp logins live.
+  // 'local' → LocalAuth under dataPath (tied to this VM's disk).
+  // 'fs' / 'gcs' → RemoteAuth archives that any server can restore (see lib/authStore.js).
+  auth: {
+    store: 'local',
+    backupSyncIntervalMs: 5 * 60_000, // RemoteAuth periodic re-upload (min 60s)
+    fs: { dir: '/var/lib/wa-auth-store' },
+    gcs: { bucket: storageCfg.bucket, prefix: 'wa-auth' },
+  },
+
+  // Supervisor that re-initializes clients after disconnected / error / recoverable auth_failure.
+  reconnect: {
+    baseDelayMs: 5_000,       // delay before the first attempt
+    maxDelayMs: 5 * 60_000,   // backoff ceiling
+    factor: 2,                // exponential growth per attempt
+    jitter: 0.3,              // ±30% randomization on each delay
+    maxAttempts: 8,           // then give up with reconnect_failed
+    historySize: 10,          // attempts kept on the registry doc
+    destroyTimeoutMs: 30_000, // a hung browser is killed after this instead of blocking the restart
+  },
+
+  // Idle hibernation: destroy Chromium after this long without traffic, keeping auth.
+  // A REST send / chat query (or the bot outbox) wakes the session transparently. 0 disables.
+  hibernate: {
+    idleMs: 0,                // e.g. 2 * 60 * 60_000 for 2h
+    sweepMs: 60_000,          // how often idle sessions are checked
+    wakeTimeoutMs: 90_000,    // max wait for 'ready' when waking on demand
+  },
+
+  // Startup queue: at most this many clients launch Chromium at once (reboot restores,
+  // reconnects, wakes). Admin-triggered inits jump the queue.
+  startup: {
+    maxConcurrent: 2,
+    slotTimeoutMs: 120_000,   // free the slot even if a client never settles
+  },
+
+  // Watchdog: probes 'ready' clients; after failThreshold misses in a row the session is
+  // marked 'degraded' and handed to the reconnect supervisor. intervalMs 0 disables.
+  watchdog: {
+    intervalMs: 60_000,
+    probeTimeoutMs: 15_000,
+    failThreshold: 2,
+  },
+};
@@ -0,0 +1,15 @@
+// config/webhookConfig.js
+// Knobs for outbound webhooks (lib/webhooks.js).
+
+export default {
+  timeoutMs: 10_000,            // per POST
+  maxAttempts: 6,               // then the delivery is parked in the dead-letter collection
+  retryBaseMs: 2_000,           // 2s, 4s, 8s, ... (+ jitter)
+  retryMaxMs: 5 * 60_000,
+  maxConcurrent: 8,             // POSTs in flight across all webhooks
+  maxBacklogPerWebhook: 1_000,  // deliveries waiting per webhook before new ones go straight to dead-letter
+  subscriptionsCacheMs: 30_000, // how long an account's subscriptions are cached (admin changes invalidate)
+  allowHttp: false,             // only https:// targets unless enabled
+  allowPrivateHosts: false,     // local testing only: allow loopback/private/link-local targets
+  signatureHeader: 'X-Webhook-Signature',
+};
@@ -0,0 +1,46 @@
+// config/wsConfig.js
+// Knobs for the /ws hub (lib/wsHub.js).
+
+export default {
+  maxConnections: 2000,
+
+  // Resume after reconnect: the last events of each account are kept in memory; older gaps are
+  // read back from the message archive when it is enabled (messages only).
+  replay: {
+    maxEvents: 5_000,          // per account
+    maxAgeMs: 15 * 60_000,     // older events are dropped from the buffer
+    maxPending: 2_000,         // live events held per connection while its replay is running
+    archiveLimit: 1_000,       // most messages read back from the archive per resume
+    skipTypes: ['qr', 'loading'], // stale by the time anyone resumes
+  },
+
+  // Slow consumers: past highWaterBytes unsent on a socket, events queue per connection and the
+  // policy for their type applies. 'disconnect' closes with 4009 once the queue is full; the
+  // client reconnects and resumes from its last seq.
+  backpressure: {
+    highWaterBytes: 1024 * 1024,
+    maxQueued: 1_000,
+    maxQueuedBytes: 8 * 1024 * 1024,
+    defaultPolicy: 'disconnect',
+    policies: {
+      qr: 'coalesce',             // only the latest code per session matters
+      loading: 'coalesce',
+      state: 'coalesce',
+      ack: 'drop',                // delivery ticks; the message itself still arrives
+      outbound_queued: 'drop',
+      outbound_retry: 'drop',
+    },
+  },
+
+  // Token lifetime on open sockets (4401 = expired / missing, 4410 = revoked or user disabled)
+  tokens: {
+    firstMessageTimeoutMs: 10_000, // without ?token=, the first message must be { type:'auth', token }
+    refreshWarnMs: 60_000,         // 'token_expiring' is sent this long before exp
+    revocationCheckMs: 5 * 60_000, // getUser() per connected uid; 0 disables
+  },
+
+  // { type:'command' } frames (lib/wsCommands.js)
+  commands: {
+    maxInFlight: 16, // per connection; more get an error with status 429
+  },
+};
@@ -0,0 +1,234 @@
+// Durable message archive: /accounts/{aid}/sessions/{label}/threads/{chatId}/messages/{messageId}
+// Subscribes to the session bus and persists inbound/outbound messages plus acks, edits and revokes.
+// - Writes are set({ merge: true }) keyed by the WhatsApp message id, so replays, the message/sent
+//   echo of the same send and backfill overlap are all harmless.
+// - Backfill imports existing history through sessions.getChatMessages, once per session (flag on
+//   the session doc) or on demand.
+// The thread doc also records lastMessageAt / lastMessageId for listing; they only move forward,
+// so backfill or a late echo of an older message never rewinds them.
+// Live messages also keep accountId/label/seq so WS resume can read gaps back (eventsSince); that
+// collection-group query needs composite indexes on messages (accountId, seq) and
+// (accountId, label, seq) — see firestore.indexes.json.
+
+import { FieldValue } from 'firebase-admin/firestore';
+import { sleep, rand } from './session/utils.js';
+
+const ARCHIVED_TYPES = new Set(['message', 'sent', 'ack', 'edited', 'revoked']);
+
+// WhatsApp timestamps are epoch seconds, but some send paths fall back to Date.now() (ms).
+const toSeconds = (t) => {
+  const n = Number(t);
+  if (!Number.isFinite(n) || n <= 0) return null;
+  return n > 1e11 ? Math.floor(n / 1000) : n;
+};
+
+// Live events use messageType/waTimestamp; stored docs use the toMessagePayload names (type/timestamp).
+function fromEvent(evt) {
+  const doc = {
+    id: evt.id,
+    chatId: evt.chatId,
+    fromMe: !!evt.fromMe,
+    body: evt.body ?? '',
+    type: evt.messageType || null,
+    timestamp: toSeconds(evt.waTimestamp),
+    hasMedia: !!evt.hasMedia,
+  };
+  if (evt.quotedMessageId) doc.quoted = { id: evt.quotedMessageId };
+  if (Array.isArray(evt.mentions)) doc.mentions = evt.mentions;
+  if (evt.location) doc.location = evt.location;
+  if (evt.poll) doc.poll = evt.poll;
+  return doc;
+}
+
+export function createArchiver({ db, sessions, registry, config = {} }) {
+  const cfg = { enabled: false, ...config, backfill: { onFirstReady: true, maxChats: 200, messagesPerChat: 500, pageSize: 100, pauseMs: [300, 900], batchSize: 400, ...(config.backfill || {}) } };
+
+  const running = new Map(); // `${aid}::${label}` -> backfill promise
+  let listener = null;
+  let stopped = false;
+
+  const keyOf = ({ accountId, label }) => `${accountId}::${label}`;
+  const threadRef = ({ accountId, label }, chatId) =>
+    db.collection('accounts').doc(accountId)
+      .collection('sessions').doc(label)
+      .collection('threads').doc(String(chatId));
+  const msgRef = (meta, chatId, id) => threadRef(meta, chatId).collection('messages').doc(String(id));
+
+  function writeMessage(writer, meta, doc, source) {
+    writer.set(msgRef(meta, doc.chatId, doc.id), {
+      ...doc,
+      timestamp: toSeconds(doc.timestamp),
+      source,
+      archivedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+  }
+
+  // Point the thread at this message unless it already points at a newer one.
+  async function advanceThread(tx, meta, doc) {
+    const ref = threadRef(meta, doc.chatId);
+    const at = toSeconds(doc.timestamp) ? new Date(toSeconds(doc.timestamp) * 1000) : new Date();
+    const cur = (await tx.get(ref)).data();
+    const curAt = cur?.lastMessageAt?.toMillis?.() ?? 0;
+    return () => {
+      if (curAt > at.getTime()) return;
+      tx.set(ref, { chatId: doc.chatId, lastMessageId: doc.id, lastMessageAt: at }, { merge: true });
+    };
+  }
+
+  async function onEvent(evt) {
+    if (!evt?.id || !evt.chatId) return;
+    const meta = { accountId: evt.accountId, label: evt.sessionId };
+    const ref = msgRef(meta, evt.chatId, evt.id);
+
+    if (evt.type === 'message' || evt.type === 'sent') {
+      const doc = { ...fromEvent(evt), accountId: meta.accountId, label: meta.label, seq: evt.seq ?? null };
+      return db.runTransaction(async (tx) => {
+        const writeThread = await advanceThread(tx, meta, doc); // reads go before writes
+        writeMessage(tx, meta, doc, 'live');
+        writeThread();
+      });
+    }
+    if (evt.type === 'ack') {
+      return ref.set({ id: evt.id, chatId: evt.chatId, ack: evt.ack, ackName: evt.ackName || null, ackAt: new Date(evt.ts) }, { merge: true });
+    }
+    if (evt.type === 'edited') {
+      return ref.set({
+        id: evt.id,
+        chatId: evt.chatId,
+        body: evt.body ?? '',
+        edited: true,
+        editedAt: new Date(evt.ts),
+        ...(evt.previousBody != null ? { previousBodies: FieldValue.arrayUnion(evt.previousBody) } : {}),
+      }, { merge: true });
+    }
+    if (evt.type === 'revoked') {
+      // keep the archived body; just record who it was removed for
+      return ref.set({
+        id: evt.id,
+        chatId: evt.chatId,
+        revoked: { scope: evt.scope || null, at: new Date(evt.ts) },
+      }, { merge: true });
+    }
+  }
+
+  // ---------- Backfill ----------
+  async function runBackfill(meta) {
+    const bf = cfg.backfill;
+    const startedAt = new Date();
+    await registry.setArchive(meta.accountId, meta.label, { backfillStartedAt: startedAt, backfillError: null });
+
+    let chats = await sessions.getChats(meta);
+    chats = chats.filter((c) => !String(c.id).endsWith('@broadcast')).slice(0, bf.maxChats);
+
+    let messages = 0;
+    for (const chat of chats) {
+      if (stopped) throw new Error('archiver stopped');
+      let before = null;
+      let imported = 0;
+      let newest = null;
+      while (imported < bf.messagesPerChat) {
+        const page = await sessions.getChatMessages({ ...meta, chatId: chat.id, before, limit: Math.min(bf.pageSize, bf.messagesPerChat - imported) });
+        for (let i = 0; i < page.messages.length; i += bf.batchSize) {
+          const batch = db.batch();
+          for (const m of page.messages.slice(i, i + bf.batchSize)) writeMessage(batch, meta, m, 'backfill');
+          await batch.commit();
+        }
+        for (const m of page.messages) {
+          if (!newest || (toSeconds(m.timestamp) || 0) > (toSeconds(newest.timestamp) || 0)) newest = m;
+        }
+        imported += page.messages.length;
+        if (!page.hasMore || !page.nextBefore) break;
+        before = page.nextBefore;
+        await sleep(rand(bf.pauseMs[0], bf.pauseMs[1]));
+      }
+      if (newest) await db.runTransaction(async (tx) => (await advanceThread(tx, meta, newest))());
+      messages += imported;
+    }
+
+    const result = { chats: chats.length, messages };
+    await registry.setArchive(meta.accountId, meta.label, { backfilledAt: new Date(), backfillStartedAt: startedAt, ...result });
+    return result;
+  }
+
+  // One backfill per session at a time; a second call joins the running one.
+  function backfill({ accountId, label }) {
+    const meta = { accountId, label };
+    const key = keyOf(meta);
+    if (running.has(key)) return running.get(key);
+
+    const p = runBackfill(meta)
+      .catch(async (e) => {
+        await registry.setArchive(accountId, label, { backfillError: String(e?.message || e) }).catch(() => {});
+        throw e;
+      })
+      .finally(() => running.delete(key));
+    running.set(key, p);
+    return p;
+  }
+
+  async function maybeBackfill(meta) {
+    const archive = await registry.getArchive(meta.accountId, meta.label);
+    if (archive?.backfilledAt) return;
+    await backfill(meta);
+  }
+
+  function start() {
+    if (!cfg.enabled || listener) return;
+    stopped = false;
+    listener = (evt) => {
+      if (!evt || stopped) return;
+      if (ARCHIVED_TYPES.has(evt.type)) {
+        Promise.resolve(onEvent(evt)).catch((e) => console.error('[archiver] write failed', evt.type, evt.id, e?.message || e));
+      } else if (evt.type === 'ready' && cfg.backfill.onFirstReady) {
+        const meta = { accountId: evt.accountId, label: evt.sessionId };
+        maybeBackfill(meta).catch((e) => console.error('[archiver] backfill failed', keyOf(meta), e?.message || e));
+      }
+    };
+    sessions.on('evt', listener);
+  }
+
+  function stop() {
+    stopped = true;
+    if (listener) sessions.off('evt', listener);
+    listener = null;
+  }
+
+  // Archived messages of an account with afterSeq < seq < beforeSeq, oldest first, rebuilt as
+  // 'message' events (acks/edits/revokes in the gap are not recoverable from here).
+  // Labels are filtered in the query when they fit an 'in' clause, so the page holds `limit`
+  // allowed messages; past that they are filtered here and the page may come back short.
+  async function eventsSince({ accountId, labels, afterSeq, beforeSeq = Number.MAX_SAFE_INTEGER, limit = 500 }) {
+    if (!labels.length) return [];
+    let q = db.collectionGroup('messages').where('accountId', '==', accountId);
+    if (labels.length <= 30) q = q.where('label', 'in', labels);
+    const snap = await q
+      .where('seq', '>', afterSeq)
+      .where('seq', '<', beforeSeq)
+      .orderBy('seq')
+      .limit(limit)
+      .get();
+    const allowed = new Set(labels);
+    return snap.docs
+      .map((d) => d.data() || {})
+      .filter((x) => allowed.has(x.label))
+      .map((x) => ({
+        type: 'message',
+        ts: x.timestamp ? x.timestamp * 1000 : null,
+        seq: x.seq,
+        accountId,
+        sessionId: x.label,
+        id: x.id,
+        chatId: x.chatId,
+        fromMe: !!x.fromMe,
+        body: x.body ?? '',
+        messageType: x.type || null,
+        hasMedia: !!x.hasMedia,
+        waTimestamp: x.timestamp || null,
+        replayed: 'archive',
+      }));
+  }
+
+  const status = () => ({ enabled: !!cfg.enabled, backfilling: Array.from(running.keys()) });
+
+  return { start, stop, backfill, eventsSince, status, enabled: !!cfg.enabled };
+}
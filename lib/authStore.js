@@ -0,0 +1,97 @@
+// Portable auth stores for whatsapp-web.js RemoteAuth.
+// RemoteAuth zips the browser profile to `${dataPath}/${session}.zip` and hands it to a store:
+//   sessionExists({ session }), save({ session }), extract({ session, path }), delete({ session })
+// Backends:
+//   - fs:  archives copied into a directory (shared disk / NFS mount / synced folder)
+//   - gcs: archives uploaded to a Cloud Storage bucket under a prefix
+// A session stopped on one server can be initialized on another without rescanning the QR.
+
+import fs from 'fs';
+import path from 'path';
+import { Storage } from '@google-cloud/storage';
+
+const ARCHIVE_EXT = '.zip';
+
+export function createFsAuthStore({ dir, dataPath }) {
+  const root = path.resolve(dir);
+  if (!fs.existsSync(root)) fs.mkdirSync(root, { recursive: true });
+
+  const archiveOf = (session) => path.join(root, `${session}${ARCHIVE_EXT}`);
+  const localZipOf = (session) => path.join(dataPath, `${session}${ARCHIVE_EXT}`);
+
+  return {
+    kind: 'fs',
+
+    async sessionExists({ session }) {
+      return fs.existsSync(archiveOf(session));
+    },
+
+    async save({ session }) {
+      // copy + rename so a concurrent extract never sees a half-written archive
+      const tmp = `${archiveOf(session)}.tmp`;
+      await fs.promises.copyFile(localZipOf(session), tmp);
+      await fs.promises.rename(tmp, archiveOf(session));
+    },
+
+    async extract({ session, path: dest }) {
+      await fs.promises.copyFile(archiveOf(session), dest);
+    },
+
+    async delete({ session }) {
+      await fs.promises.rm(archiveOf(session), { force: true });
+    },
+
+    async list() {
+      const items = await fs.promises.readdir(root).catch(() => []);
+      return items.filter((f) => f.endsWith(ARCHIVE_EXT)).map((f) => f.slice(0, -ARCHIVE_EXT.length));
+    },
+  };
+}
+
+export function createGcsAuthStore({ bucket, prefix = 'wa-auth', dataPath }) {
+  const b = new Storage().bucket(bucket);
+  const objectOf = (session) => `${prefix}/${session}${ARCHIVE_EXT}`;
+  const localZipOf = (session) => path.join(dataPath, `${session}${ARCHIVE_EXT}`);
+
+  return {
+    kind: 'gcs',
+
+    async sessionExists({ session }) {
+      const [exists] = await b.file(objectOf(session)).exists();
+      return exists;
+    },
+
+    async save({ session }) {
+      await b.upload(localZipOf(session), {
+        destination: objectOf(session),
+        resumable: false,
+        contentType: 'application/zip',
+      });
+    },
+
+    async extract({ session, path: dest }) {
+      await b.file(objectOf(session)).download({ destination: dest });
+    },
+
+    async delete({ session }) {
+      await b.file(objectOf(session)).delete({ ignoreNotFound: true });
+    },
+
+    async list() {
+      const [files] = await b.getFiles({ prefix: `${prefix}/` });
+      return files
+        .map((f) => f.name.slice(prefix.length + 1))
+        .filter((n) => n.endsWith(ARCHIVE_EXT))
+        .map((n) => n.slice(0, -ARCHIVE_EXT.length));
+    },
+  };
+}
+
+// Build the store named by config.auth.store; 'local' (or unset) means plain LocalAuth → null.
+export function createAuthStore({ store = 'local', fs: fsCfg = {}, gcs: gcsCfg = {} } = {}, { dataPath }) {
+  const resolved = path.resolve(dataPath);
+  if (store === 'fs') return createFsAuthStore({ ...fsCfg, dataPath: resolved });
+  if (store === 'gcs') return createGcsAuthStore({ ...gcsCfg, dataPath: resolved });
+  if (store && store !== 'local') throw new Error(`unknown auth store "${store}"`);
+  return null;
+}
@@ -0,0 +1,93 @@
+// Idempotency keys for outbound sends.
+// /accounts/{aid}/sessions/{label}/idempotency/{sha256(key)}
+//   { key, fingerprint, status: 'pending'|'done', jobId, result: { id, timestamp }, createdAt, expiresAt }
+// A repeated request with the same key returns the stored result instead of sending again.
+// Docs expire after retentionMs (enable a Firestore TTL policy on `expiresAt` to purge them).
+
+import crypto from 'crypto';
+import { FieldValue } from 'firebase-admin/firestore';
+
+const sha256 = (s) => crypto.createHash('sha256').update(String(s)).digest('hex');
+
+// Stable hash of the request body, so a reused key with a different payload can be rejected.
+// Inline media data is hashed separately to keep the input small.
+export function fingerprintOf(route, { to, text = null, media = null, options = {} }) {
+  const m = media ? { ...media, data: media.data ? sha256(media.data) : undefined } : null;
+  return sha256(JSON.stringify({ route, to: String(to), text, media: m, options }));
+}
+
+export function createIdempotencyStore({ db, retentionMs = 24 * 60 * 60_000 }) {
+  const refOf = ({ accountId, label, key }) =>
+    db.collection('accounts').doc(accountId)
+      .collection('sessions').doc(label)
+      .collection('idempotency').doc(sha256(key));
+
+  return {
+    // Stable queue jobId for a key: a restart between enqueue and complete() can't double-send.
+    jobIdFor: (key) => `idem_${sha256(key).slice(0, 40)}`,
+
+    /**
+     * Reserve a key. Resolves to one of:
+     *   { state: 'new' }                      → caller should send, then complete()/fail()
+     *   { state: 'done', result }             → already sent; replay result
+     *   { state: 'pending', jobId, createdAt } → an earlier request is still in flight (createdAt in ms)
+     *   { state: 'conflict' }                 → key reused with a different payload
+     */
+    async begin({ accountId, label, key, fingerprint }) {
+      const ref = refOf({ accountId, label, key });
+      return db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        const cur = snap.exists ? (snap.data() || {}) : null;
+        const expired = cur?.expiresAt?.toMillis?.() <= Date.now();
+
+        if (cur && !expired) {
+          if (cur.fingerprint !== fingerprint) return { state: 'conflict' };
+          if (cur.status === 'done') return { state: 'done', result: cur.result || null };
+          return { state: 'pending', jobId: cur.jobId || null, createdAt: cur.createdAt?.toMillis?.() ?? null };
+        }
+
+        tx.set(ref, {
+          key: String(key),
+          fingerprint,
+          status: 'pending',
+          jobId: null,
+          result: null,
+          createdAt: FieldValue.serverTimestamp(),
+          expiresAt: new Date(Date.now() + retentionMs),
+        });
+        return { state: 'new' };
+      });
+    },
+
+    // Re-claim a pending key whose request was abandoned. Only succeeds if the claim is still the one
+    // the caller saw (same createdAt), so two requests can't both take it over.
+    async takeOver({ accountId, label, key, createdAt }) {
+      const ref = refOf({ accountId, label, key });
+      return db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        const cur = snap.exists ? (snap.data() || {}) : null;
+        if (cur?.status !== 'pending' || (cur.createdAt?.toMillis?.() ?? null) !== createdAt) return false;
+        tx.update(ref, { jobId: null, createdAt: FieldValue.serverTimestamp(), expiresAt: new Date(Date.now() + retentionMs) });
+        return true;
+      });
+    },
+
+    async attachJob({ accountId, label, key, jobId }) {
+      await refOf({ accountId, label, key }).set({ jobId }, { merge: true });
+    },
+
+    async complete({ accountId, label, key, result }) {
+      await refOf({ accountId, label, key }).set({
+        status: 'done',
+        result: { id: result?.id || null, timestamp: result?.timestamp || null },
+        completedAt: FieldValue.serverTimestamp(),
+        expiresAt: new Date(Date.now() + retentionMs),
+      }, { merge: true });
+    },
+
+    // Send definitively failed: release the key so the client may retry with it.
+    async fail({ accountId, label, key }) {
+      await refOf({ accountId, label, key }).delete().catch(() => {});
+    },
+  };
+}
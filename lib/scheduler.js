@@ -0,0 +1,229 @@
+// Scheduled messages: stored per session, dispatched by the server that runs the session.
+// /accounts/{aid}/sessions/{label}/schedules/{id}
+//   { kind: 'text'|'media', to, chatId, text?, media?, options, sendAt (UTC), localTime, timezone,
+//     status: 'scheduled'|'sending'|'queued'|'sent'|'failed'|'unknown'|'cancelled', jobId, waMessageId, error, ... }
+// Every tickMs, due schedules of sessions running here are claimed in a transaction and handed to
+// the send queue (jobId sched_{id}, so its pacing applies); the outcome is written back on the doc.
+// Queries need the composite indexes in firestore.indexes.json (schedules: status + sendAt / claimedAt).
+
+import { FieldValue } from 'firebase-admin/firestore';
+import { normalizeChatId } from './session/utils.js';
+
+const LOCAL_RE = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/;
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})/;
+
+// Date.UTC and Date.parse roll 2026-02-30 over to Mar 2 instead of refusing it.
+const isCalendarDate = (y, mo, d) => {
+  const t = new Date(Date.UTC(y, mo - 1, d));
+  return t.getUTCFullYear() === y && t.getUTCMonth() === mo - 1 && t.getUTCDate() === d;
+};
+
+// Offset (ms) of `timeZone` from UTC at instant `utcMs`.
+function tzOffsetMs(utcMs, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+  }).formatToParts(new Date(utcMs));
+  const v = Object.fromEntries(parts.map((p) => [p.type, Number(p.value)]));
+  const asUtc = Date.UTC(v.year, v.month - 1, v.day, v.hour, v.minute, v.second);
+  return asUtc - Math.floor(utcMs / 1000) * 1000;
+}
+
+/**
+ * Resolve a send-at time to a UTC Date.
+ * - "2025-03-01T09:30" (no offset) is wall-clock time in `timeZone`
+ * - anything with "Z" or "+hh:mm" is already absolute
+ * Throws on unparseable input, a date that does not exist (2026-02-30) or an unknown time zone.
+ */
+export function resolveSendAt(sendAt, timeZone) {
+  new Intl.DateTimeFormat(undefined, { timeZone }); // RangeError for an unknown zone, offset or not
+  const s = String(sendAt || '').trim();
+  const m = LOCAL_RE.exec(s);
+  if (!m) {
+    const ms = Date.parse(s);
+    const date = DATE_RE.exec(s);
+    if (Number.isNaN(ms) || (date && !isCalendarDate(+date[1], +date[2], +date[3]))) throw new Error('invalid sendAt');
+    return new Date(ms);
+  }
+  const [, y, mo, d, h, mi, sec = '0'] = m;
+  if (!isCalendarDate(+y, +mo, +d) || +h > 23 || +mi > 59 || +sec > 59) throw new Error('invalid sendAt');
+  const wall = Date.UTC(+y, +mo - 1, +d, +h, +mi, +sec);
+  // two passes so times right after a DST switch land on the right offset
+  let utc = wall - tzOffsetMs(wall, timeZone);
+  utc = wall - tzOffsetMs(utc, timeZone);
+  return new Date(utc);
+}
+
+export function createMessageScheduler({ db, sessions, sendQueue, config = {} }) {
+  const cfg = {
+    tickMs: 15_000, defaultTimezone: 'UTC', staleSendingMs: 10 * 60_000, maxAheadMs: 366 * 24 * 60 * 60_000,
+    inlineMediaMaxChars: 700_000,
+    ...config,
+  };
+  const jobIdOf = (id) => `sched_${id}`;
+  const colOf = ({ accountId, label }) =>
+    db.collection('accounts').doc(accountId).collection('sessions').doc(label).collection('schedules');
+
+  let timer = null;
+  let ticking = false;
+
+  function toPublic(d) {
+    const x = d.data() || {};
+    return {
+      id: d.id,
+      kind: x.kind || null,
+      to: x.to || null,
+      chatId: x.chatId || null,
+      text: x.text ?? null,
+      hasMedia: !!x.media,
+      sendAt: x.sendAt?.toDate?.() || null,
+      localTime: x.localTime || null,
+      timezone: x.timezone || null,
+      status: x.status || null,
+      jobId: x.jobId || null,
+      waMessageId: x.waMessageId || null,
+      error: x.error || null,
+      createdBy: x.createdBy || null,
+      createdAt: x.createdAt?.toDate?.() || null,
+      sentAt: x.sentAt?.toDate?.() || null,
+    };
+  }
+
+  async function create({ accountId, label, to, text = null, media = null, options = {}, sendAt, timezone, createdBy = null }) {
+    const timeZone = timezone || cfg.defaultTimezone;
+    const at = resolveSendAt(sendAt, timeZone); // throws RangeError for an unknown zone
+    const now = Date.now();
+    if (at.getTime() < now - 60_000) throw new Error('sendAt is in the past');
+    if (at.getTime() > now + cfg.maxAheadMs) throw new Error('sendAt is too far in the future');
+
+    const chatId = normalizeChatId(to);
+    if (!chatId) throw new Error('invalid "to"');
+    if (!text && !media) throw new Error('text or media required');
+    if (media?.data && String(media.data).length > cfg.inlineMediaMaxChars) {
+      // the whole payload lives in the schedule doc (Firestore docs max out at 1 MiB)
+      throw new Error(`media too large to schedule inline (max ${cfg.inlineMediaMaxChars} base64 chars); use media.url`);
+    }
+
+    const ref = colOf({ accountId, label }).doc();
+    await ref.set({
+      kind: media ? 'media' : 'text',
+      to: String(to),
+      chatId,
+      text: text === null ? null : String(text),
+      media: media || null,
+      options: options || {},
+      sendAt: at,
+      localTime: String(sendAt),
+      timezone: timeZone,
+      status: 'scheduled',
+      waMessageId: null,
+      error: null,
+      createdBy,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+    return toPublic(await ref.get());
+  }
+
+  async function list({ accountId, label, status = null, limit = 100 }) {
+    let q = colOf({ accountId, label });
+    if (status) q = q.where('status', '==', String(status));
+    const snap = await q.orderBy('sendAt', 'asc').limit(Math.max(1, Math.min(500, Number(limit) || 100))).get();
+    return snap.docs.map(toPublic);
+  }
+
+  async function cancel({ accountId, label, id }) {
+    const ref = colOf({ accountId, label }).doc(id);
+    return db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists) return { ok: false, reason: 'not_found' };
+      if (snap.get('status') !== 'scheduled') return { ok: false, reason: `not cancellable (status=${snap.get('status')})` };
+      tx.update(ref, { status: 'cancelled', cancelledAt: new Date() });
+      return { ok: true };
+    });
+  }
+
+  async function dispatch(meta, ref) {
+    const claimed = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists || snap.get('status') !== 'scheduled') return null;
+      tx.update(ref, { status: 'sending', claimedAt: new Date() });
+      return snap.data();
+    });
+    if (!claimed) return;
+
+    let done;
+    try {
+      const jobId = jobIdOf(ref.id);
+      ({ done } = await sendQueue.enqueue({
+        ...meta,
+        kind: claimed.kind,
+        to: claimed.chatId,
+        text: claimed.text ?? null,
+        media: claimed.media || null,
+        options: claimed.options || {},
+        priority: 'normal',
+        source: 'schedule',
+        jobId,
+      }));
+      await ref.update({ status: 'queued', jobId, queuedAt: new Date() });
+    } catch (e) {
+      await ref.update({ status: 'failed', failedAt: new Date(), error: String(e?.message || e) });
+      return;
+    }
+
+    // don't hold the tick while the queue paces the send
+    done.then(
+      (result) => ref.update({ status: 'sent', waMessageId: result?.id || null, sentAt: new Date(), error: null }),
+      (e) => ref.update({ status: e?.deliveryUnknown ? 'unknown' : 'failed', failedAt: new Date(), error: String(e?.message || e) }),
+    ).catch((e) => console.error('[scheduler] status write failed', ref.path, e));
+  }
+
+  // Claims older than staleSendingMs whose outcome never made it back (e.g. a restart): settle them
+  // from the queue job. Never enqueued → nothing went out, so it is simply due again.
+  async function reconcile(meta, d) {
+    const x = d.data() || {};
+    const job = await sendQueue.getJob({ ...meta, jobId: x.jobId || jobIdOf(d.id) });
+    const now = new Date();
+    if (!job) return d.ref.update({ status: 'scheduled', claimedAt: null });
+    if (job.status === 'sent') return d.ref.update({ status: 'sent', jobId: job.jobId, waMessageId: job.waMessageId, sentAt: now, error: null });
+    if (['failed', 'cancelled', 'unknown'].includes(job.status)) {
+      return d.ref.update({ status: job.status === 'unknown' ? 'unknown' : 'failed', jobId: job.jobId, failedAt: now, error: job.error || job.status });
+    }
+    // still queued / sending: the queue reloads it when the session is ready
+  }
+
+  async function tickSession(meta) {
+    const col = colOf(meta);
+    const now = new Date();
+
+    const stale = await col.where('status', 'in', ['sending', 'queued'])
+      .where('claimedAt', '<=', new Date(now.getTime() - cfg.staleSendingMs)).get();
+    for (const d of stale.docs) {
+      await reconcile(meta, d).catch((e) => console.error('[scheduler] reconcile failed', d.ref.path, e));
+    }
+
+    const due = await col.where('status', '==', 'scheduled').where('sendAt', '<=', now).orderBy('sendAt', 'asc').limit(50).get();
+    for (const d of due.docs) {
+      await dispatch(meta, d.ref).catch((e) => console.error('[scheduler] dispatch failed', d.ref.path, e));
+    }
+  }
+
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      const running = sessions.listRunning('').filter((s) => ['ready', 'hibernated'].includes(s.status));
+      for (const s of running) {
+        await tickSession({ accountId: s.accountId, label: s.label })
+          .catch((e) => console.error('[scheduler] tick failed', s.accountId, s.label, e));
+      }
+    } finally {
+      ticking = false;
+    }
+  }
+
+  function start() { if (!timer) timer = setInterval(() => { tick().catch(() => {}); }, cfg.tickMs); }
+  function stop() { if (timer) clearInterval(timer); timer = null; }
+
+  return { create, list, cancel, tick, start, stop };
+}
@@ -0,0 +1,284 @@
+// In-memory inverted index over the message archive, one shard per session.
+// - A shard is built from Firestore (/accounts/{aid}/sessions/{label}/threads/*/messages) in the
+//   background the first time it is searched, or on rebuild(); after that the session bus keeps it
+//   current (message, sent, edited, revoked), so it never needs to be persisted. A search waits at
+//   most buildWaitMs for unbuilt shards and lists the ones still building under `indexing`.
+// - Over maxDocsPerSession, the oldest messages (by timestamp) are evicted in chunks.
+// - Tokens are lowercased with accents stripped ("póliza" matches "poliza"); every query term must
+//   match, and the last one also matches as a prefix so partial policy numbers/names work.
+// - Ranking: matched-term frequency, then newest first.
+
+const INDEXED_TYPES = new Set(['message', 'sent', 'edited', 'revoked']);
+
+const fold = (s) => String(s || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+export function tokenize(text, minLength = 2) {
+  return fold(text)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((t) => t.length >= minLength);
+}
+
+// unix seconds | millis | ISO date → unix seconds (null if absent/invalid)
+export function toUnixSeconds(v) {
+  if (v == null || v === '') return null;
+  const s = String(v).trim();
+  if (/^\d+$/.test(s)) {
+    const n = Number(s);
+    return n > 1e12 ? Math.floor(n / 1000) : n;
+  }
+  const t = Date.parse(s);
+  return Number.isFinite(t) ? Math.floor(t / 1000) : null;
+}
+
+export function createSearchIndex({ db, sessions, archiver, config = {} }) {
+  const cfg = { minTokenLength: 2, defaultLimit: 20, maxLimit: 100, snippetChars: 160, rebuildPageSize: 500, maxDocsPerSession: 200_000, buildWaitMs: 3000, ...config };
+
+  const shards = new Map(); // `${aid}::${label}` -> { docs: Map<id, doc>, postings: Map<term, Set<id>>, ready, building }
+  let listener = null;
+
+  const keyOf = ({ accountId, label }) => `${accountId}::${label}`;
+  const threadsOf = ({ accountId, label }) =>
+    db.collection('accounts').doc(accountId).collection('sessions').doc(label).collection('threads');
+
+  function shardOf(meta) {
+    const key = keyOf(meta);
+    let shard = shards.get(key);
+    if (!shard) {
+      shard = { docs: new Map(), postings: new Map(), ready: false, building: null };
+      shards.set(key, shard);
+    }
+    return shard;
+  }
+
+  function unindex(shard, id) {
+    const prev = shard.docs.get(id);
+    if (!prev) return;
+    for (const t of prev.terms) {
+      const set = shard.postings.get(t);
+      if (!set) continue;
+      set.delete(id);
+      if (!set.size) shard.postings.delete(t);
+    }
+    shard.docs.delete(id);
+  }
+
+  // Insert/replace one message. Fields missing from `m` keep their previous value.
+  function upsert(shard, m) {
+    if (!m?.id || !m.chatId) return;
+    const prev = shard.docs.get(m.id);
+    const doc = {
+      id: m.id,
+      chatId: m.chatId,
+      fromMe: m.fromMe ?? prev?.fromMe ?? false,
+      type: m.type ?? prev?.type ?? null,
+      timestamp: toUnixSeconds(m.timestamp) ?? prev?.timestamp ?? null,
+      body: m.body ?? prev?.body ?? '',
+      revoked: m.revoked ?? prev?.revoked ?? null,
+    };
+    unindex(shard, m.id);
+    doc.terms = new Set(tokenize(doc.body, cfg.minTokenLength));
+    shard.docs.set(m.id, doc);
+    for (const t of doc.terms) {
+      let set = shard.postings.get(t);
+      if (!set) shard.postings.set(t, (set = new Set()));
+      set.add(m.id);
+    }
+
+    if (shard.docs.size > cfg.maxDocsPerSession) evictOldest(shard);
+  }
+
+  // Builds read in document-id order, not time order, so sort by timestamp and drop the oldest
+  // 1% at once; the sort then runs once per chunk instead of once per insert.
+  function evictOldest(shard) {
+    const keep = Math.floor(cfg.maxDocsPerSession * 0.99);
+    const byAge = Array.from(shard.docs.values()).sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+    for (const d of byAge.slice(0, shard.docs.size - keep)) unindex(shard, d.id);
+  }
+
+  function fromArchive(id, x) {
+    return {
+      id,
+      chatId: x.chatId,
+      fromMe: !!x.fromMe,
+      type: x.type || null,
+      timestamp: x.timestamp || null,
+      body: x.body ?? '',
+      revoked: x.revoked?.scope || null,
+    };
+  }
+
+  async function build(meta) {
+    const shard = shardOf(meta);
+    const threads = await threadsOf(meta).listDocuments();
+    for (const t of threads) {
+      let last = null;
+      for (;;) {
+        let q = t.collection('messages').orderBy('__name__').limit(cfg.rebuildPageSize);
+        if (last) q = q.startAfter(last);
+        const snap = await q.get();
+        for (const d of snap.docs) {
+          const x = d.data() || {};
+          // live events that landed while building are newer than the archive snapshot
+          if (x.chatId && !shard.docs.has(d.id)) upsert(shard, fromArchive(d.id, x));
+        }
+        if (snap.size < cfg.rebuildPageSize) break;
+        last = snap.docs[snap.docs.length - 1];
+      }
+    }
+    shard.ready = true;
+    return { docs: shard.docs.size, terms: shard.postings.size };
+  }
+
+  function ensureShard(meta) {
+    const shard = shardOf(meta);
+    if (shard.ready) return Promise.resolve(shard);
+    if (!shard.building) {
+      shard.building = build(meta)
+        .catch((e) => { shards.delete(keyOf(meta)); throw e; })
+        .finally(() => { shard.building = null; });
+    }
+    return shard.building.then(() => shard);
+  }
+
+  // Drop a shard and read it again from the archive.
+  async function rebuild(meta) {
+    const old = shards.get(keyOf(meta));
+    if (old?.building) await old.building.catch(() => {});
+    shards.delete(keyOf(meta));
+    await ensureShard(meta);
+    return stats(meta);
+  }
+
+  function onEvent(evt) {
+    const meta = { accountId: evt.accountId, label: evt.sessionId };
+    const shard = shards.get(keyOf(meta));
+    if (!shard || !evt.id || !evt.chatId) return; // unbuilt shards read everything from the archive later
+
+    if (evt.type === 'message' || evt.type === 'sent') {
+      upsert(shard, { id: evt.id, chatId: evt.chatId, fromMe: !!evt.fromMe, type: evt.messageType || null, timestamp: evt.waTimestamp || null, body: evt.body ?? '' });
+    } else if (evt.type === 'edited') {
+      upsert(shard, { id: evt.id, chatId: evt.chatId, body: evt.body ?? '' });
+    } else if (evt.type === 'revoked') {
+      upsert(shard, { id: evt.id, chatId: evt.chatId, revoked: evt.scope || null });
+    }
+  }
+
+  function snippet(body, terms) {
+    const n = cfg.snippetChars;
+    if (body.length <= n) return body;
+    const folded = fold(body);
+    let at = -1;
+    for (const t of terms) {
+      at = folded.indexOf(t);
+      if (at >= 0) break;
+    }
+    const start = Math.max(0, Math.min(body.length - n, at - Math.floor(n / 3)));
+    return `${start > 0 ? '…' : ''}${body.slice(start, start + n)}${start + n < body.length ? '…' : ''}`;
+  }
+
+  function matchIds(shard, terms) {
+    let result = null;
+    terms.forEach((term, i) => {
+      const ids = new Set(shard.postings.get(term) || []);
+      if (i === terms.length - 1) {
+        for (const [t, set] of shard.postings) if (t !== term && t.startsWith(term)) for (const id of set) ids.add(id);
+      }
+      result = result ? new Set([...result].filter((id) => ids.has(id))) : ids;
+    });
+    return result || new Set();
+  }
+
+  /**
+   * Search one or more sessions of an account.
+   * filters: { chatId, from, to (unix s | ms | ISO), fromMe: boolean, types: string[] }
+   */
+  async function search({ accountId, labels, q, filters = {}, limit, offset = 0 }) {
+    const terms = Array.from(new Set(tokenize(q, cfg.minTokenLength)));
+    if (!terms.length) throw new Error('q needs at least one searchable term');
+
+    const from = toUnixSeconds(filters.from);
+    const to = toUnixSeconds(filters.to);
+    const types = filters.types?.length ? new Set(filters.types) : null;
+    const size = Math.max(1, Math.min(cfg.maxLimit, Number(limit) || cfg.defaultLimit));
+
+    // start every missing shard at once, but never hold the request for a full build
+    let failed = null;
+    const builds = labels.map((label) => ensureShard({ accountId, label }).catch((e) => {
+      failed ??= e;
+      console.error('[search] build failed', keyOf({ accountId, label }), e?.message || e);
+    }));
+    let timer;
+    await Promise.race([
+      Promise.all(builds),
+      new Promise((resolve) => { timer = setTimeout(resolve, cfg.buildWaitMs); }),
+    ]);
+    clearTimeout(timer);
+    if (failed) throw failed;
+
+    const hits = [];
+    const indexing = [];
+    for (const label of labels) {
+      const shard = shards.get(keyOf({ accountId, label }));
+      if (!shard?.ready) {
+        indexing.push(label);
+        continue;
+      }
+      for (const id of matchIds(shard, terms)) {
+        const d = shard.docs.get(id);
+        if (!d) continue;
+        if (filters.chatId && d.chatId !== filters.chatId) continue;
+        if (typeof filters.fromMe === 'boolean' && d.fromMe !== filters.fromMe) continue;
+        if (types && !types.has(d.type)) continue;
+        if (from != null && (d.timestamp || 0) < from) continue;
+        if (to != null && (d.timestamp || 0) > to) continue;
+
+        let score = 0;
+        for (const t of terms) if (d.terms.has(t)) score += 1;
+        hits.push({ label, d, score });
+      }
+    }
+
+    hits.sort((a, b) => b.score - a.score || (b.d.timestamp || 0) - (a.d.timestamp || 0));
+    const start = Math.max(0, Number(offset) || 0);
+    return {
+      total: hits.length,
+      indexing,
+      results: hits.slice(start, start + size).map(({ label, d, score }) => ({
+        label,
+        id: d.id,
+        chatId: d.chatId,
+        fromMe: d.fromMe,
+        type: d.type,
+        timestamp: d.timestamp,
+        revoked: d.revoked,
+        score,
+        snippet: snippet(d.body, terms),
+      })),
+    };
+  }
+
+  function stats(meta = null) {
+    const one = (s) => ({ ready: s.ready, docs: s.docs.size, terms: s.postings.size });
+    if (meta) {
+      const s = shards.get(keyOf(meta));
+      return s ? one(s) : { ready: false, docs: 0, terms: 0 };
+    }
+    return Object.fromEntries(Array.from(shards.entries()).map(([k, s]) => [k, one(s)]));
+  }
+
+  function start() {
+    if (!archiver?.enabled || listener) return;
+    listener = (evt) => {
+      if (!evt || !INDEXED_TYPES.has(evt.type)) return;
+      try { onEvent(evt); } catch (e) { console.error('[search] index update failed', evt.type, e); }
+    };
+    sessions.on('evt', listener);
+  }
+
+  function stop() {
+    if (listener) sessions.off('evt', listener);
+    listener = null;
+  }
+
+  return { start, stop, search, rebuild, stats, enabled: !!archiver?.enabled };
+}
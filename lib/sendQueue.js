@@ -0,0 +1,431 @@
+// Durable per-session outbound queue with rate limiting.
+// Jobs live in /accounts/{aid}/sessions/{label}/sendQueue/{jobId} and are dispatched through
+// sessions.sendText / sendMedia (or the rich send named by job.kind) by the server that owns the session.
+// - Priorities: 'high' (bot replies) → 'normal' (REST) → 'bulk' (campaigns); FIFO within a priority
+// - Pacing: config.perMinute per session + random jitter between sends
+// - Retries transient failures that happened before dispatch with exponential backoff; permanent
+//   errors fail immediately; errors after sendMessage was dispatched end as 'unknown' (never retried)
+// - Queued jobs are re-loaded when the session becomes ready again (e.g. after a restart)
+// - job.typing { state: 'typing' | 'recording', ms } shows that chat state right before the send
+//   (bot replies), so the pause happens when the message actually goes out, not while it waits
+// Emits on the session bus: outbound_queued, outbound_sent, outbound_retry, outbound_failed, outbound_cancelled
+// (outbound_failed carries deliveryUnknown: true for 'unknown' jobs)
+
+import { FieldValue } from 'firebase-admin/firestore';
+import { rand, sleep, normalizeChatId } from './session/utils.js';
+
+export const SEND_PRIORITY = { high: 0, normal: 1, bulk: 2 };
+
+// Rich sends: job.params goes to the session method as-is (plus to). text/media use sendText/sendMedia.
+const RICH_SENDS = {
+  reply: 'sendReply',
+  mention: 'sendMentions',
+  location: 'sendLocation',
+  contactCard: 'sendContactCard',
+  poll: 'sendPoll',
+  forward: 'forwardMessage',
+};
+export const SEND_KINDS = ['text', 'media', ...Object.keys(RICH_SENDS)];
+
+// Session states in which work is accepted (it will be sent once the session is ready again).
+const ACCEPTING = new Set(['ready', 'hibernated', 'queued', 'starting', 'reconnecting', 'degraded', 'disconnected', 'error']);
+// Session states in which a send can be attempted right now (hibernated wakes on send).
+const SENDABLE = new Set(['ready', 'hibernated']);
+
+// Only consulted for errors raised before the message reached the page (session not ready, wake,
+// fetching url media); those are safe to retry. See sessions.sendText's `dispatched` tag.
+const TRANSIENT = /not ready|not initialized|timed out|timeout|shutting down|wake|session closed|ECONN|ETIMEDOUT|EAI_AGAIN|socket hang up/i;
+
+export function createSendQueue({ db, sessions, config = {} }) {
+  const cfg = {
+    perMinute: 20, jitterMs: [800, 2500], maxAttempts: 5, retryBaseMs: 5_000, retryMaxMs: 5 * 60_000,
+    notReadyRecheckMs: 5_000, inlineMediaMaxChars: 700_000, recentLimit: 50, ...config,
+  };
+
+  const lanes = new Map();   // `${aid}::${label}` -> { meta, jobs[], timer, busy, lastSentAt, hydrated }
+  const waiters = new Map(); // jobId -> [{ resolve, reject }]
+  let stopped = false;
+
+  const keyOf = ({ accountId, label }) => `${accountId}::${label}`;
+  const colOf = ({ accountId, label }) =>
+    db.collection('accounts').doc(accountId).collection('sessions').doc(label).collection('sendQueue');
+  const rank = (p) => SEND_PRIORITY[p] ?? SEND_PRIORITY.normal;
+  const minGapMs = () => Math.ceil(60_000 / Math.max(1, cfg.perMinute));
+
+  function laneOf(meta) {
+    const key = keyOf(meta);
+    let lane = lanes.get(key);
+    if (!lane) {
+      lane = { meta: { accountId: meta.accountId, label: meta.label }, jobs: [], known: new Set(), timer: null, busy: false, lastSentAt: 0, nextAt: null, hydrated: false };
+      lanes.set(key, lane);
+    }
+    return lane;
+  }
+
+  function sortLane(lane) {
+    lane.jobs.sort((a, b) => a.rank - b.rank || a.createdAt - b.createdAt);
+  }
+
+  function publicJob(job, position = null) {
+    return {
+      jobId: job.id,
+      kind: job.kind,
+      to: job.to,
+      priority: job.priority,
+      attempts: job.attempts,
+      createdAt: job.createdAt,
+      notBefore: job.notBefore || null,
+      position,
+    };
+  }
+
+  function settle(jobId, err, result) {
+    const list = waiters.get(jobId) || [];
+    waiters.delete(jobId);
+    for (const w of list) err ? w.reject(err) : w.resolve(result);
+  }
+
+  function wait(jobId) {
+    const p = new Promise((resolve, reject) => {
+      const list = waiters.get(jobId) || [];
+      list.push({ resolve, reject });
+      waiters.set(jobId, list);
+    });
+    p.catch(() => {}); // callers may enqueue fire-and-forget
+    return p;
+  }
+
+  function schedule(lane, atMs) {
+    if (stopped) return;
+    if (lane.timer) clearTimeout(lane.timer);
+    const delay = Math.max(0, atMs - Date.now());
+    lane.nextAt = Date.now() + delay;
+    lane.timer = setTimeout(() => { lane.timer = null; lane.nextAt = null; pump(lane); }, delay);
+  }
+
+  function persistableMedia(media) {
+    if (!media) return { media: null, inMemory: false };
+    if (media.data && String(media.data).length > cfg.inlineMediaMaxChars) {
+      const { data, ...rest } = media;
+      return { media: rest, inMemory: true };
+    }
+    return { media, inMemory: false };
+  }
+
+  async function pump(lane) {
+    if (stopped || lane.busy || lane.timer || !lane.jobs.length) return;
+
+    const st = sessions.status(lane.meta);
+    if (!SENDABLE.has(st)) return schedule(lane, Date.now() + cfg.notReadyRecheckMs);
+
+    const now = Date.now();
+    const job = lane.jobs.find((j) => !j.notBefore || j.notBefore <= now);
+    if (!job) return schedule(lane, Math.min(...lane.jobs.map((j) => j.notBefore)));
+
+    const earliest = lane.lastSentAt ? lane.lastSentAt + minGapMs() + rand(cfg.jitterMs[0], cfg.jitterMs[1]) : 0;
+    if (earliest > now) return schedule(lane, earliest);
+
+    lane.busy = true;
+    lane.jobs.splice(lane.jobs.indexOf(job), 1);
+    try {
+      await dispatch(lane, job);
+    } finally {
+      lane.busy = false;
+      if (lane.jobs.length) pump(lane);
+    }
+  }
+
+  // Presence failures never block the send.
+  async function showTyping(lane, job) {
+    const { state, ms } = job.typing;
+    const params = { ...lane.meta, chatId: job.chatId || job.to };
+    try {
+      if (state === 'recording') await sessions.sendStateRecording(params);
+      else await sessions.sendStateTyping(params);
+    } catch (e) {
+      console.warn('[sendQueue] typing state failed', job.id, e?.message || e);
+      return;
+    }
+    await sleep(Math.max(0, Number(ms) || 0));
+  }
+
+  async function dispatch(lane, job) {
+    const ref = colOf(lane.meta).doc(job.id);
+    if (job.typing && !stopped) await showTyping(lane, job);
+    job.attempts += 1;
+    await ref.update({ status: 'sending', attempts: job.attempts, updatedAt: FieldValue.serverTimestamp() }).catch(() => {});
+
+    try {
+      const { accountId, label } = lane.meta;
+      let msg;
+      if (job.kind === 'media') msg = await sessions.sendMedia({ accountId, label, to: job.to, media: job.media, options: job.options });
+      else if (job.kind === 'text') msg = await sessions.sendText({ accountId, label, to: job.to, text: job.text, options: job.options });
+      else msg = await sessions[RICH_SENDS[job.kind]]({ ...job.params, accountId, label, to: job.to });
+      lane.lastSentAt = Date.now();
+
+      const result = { jobId: job.id, id: msg?.id?._serialized || null, timestamp: msg?.timestamp || Date.now() };
+      await ref.update({
+        status: 'sent',
+        waMessageId: result.id,
+        waTimestamp: result.timestamp,
+        sentAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+        error: null,
+      }).catch((e) => console.error('[sendQueue] status write failed', job.id, e));
+      sessions.publish(lane.meta, 'outbound_sent', { jobId: job.id, id: result.id, chatId: job.chatId, priority: job.priority });
+      settle(job.id, null, result);
+    } catch (e) {
+      const detail = String(e?.message || e);
+      if (job.typing) sessions.clearState({ ...lane.meta, chatId: job.chatId || job.to }).catch(() => {});
+      if (e?.dispatched) {
+        // the message may have gone out: don't retry, let a human (or the client) check the chat
+        lane.lastSentAt = Date.now();
+        await ref.update({ status: 'unknown', error: `delivery unknown: ${detail}`, failedAt: FieldValue.serverTimestamp(), updatedAt: FieldValue.serverTimestamp() }).catch(() => {});
+        sessions.publish(lane.meta, 'outbound_failed', { jobId: job.id, chatId: job.chatId, attempts: job.attempts, error: detail, deliveryUnknown: true });
+        settle(job.id, Object.assign(new Error(`delivery unknown: ${detail}`), { deliveryUnknown: true }));
+        return;
+      }
+      const transient = TRANSIENT.test(detail);
+      if (transient && job.attempts < cfg.maxAttempts && !stopped) {
+        const delayMs = Math.min(cfg.retryMaxMs, cfg.retryBaseMs * Math.pow(2, job.attempts - 1));
+        job.notBefore = Date.now() + delayMs;
+        lane.jobs.push(job);
+        sortLane(lane);
+        await ref.update({ status: 'queued', notBefore: new Date(job.notBefore), error: detail, updatedAt: FieldValue.serverTimestamp() }).catch(() => {});
+        sessions.publish(lane.meta, 'outbound_retry', { jobId: job.id, chatId: job.chatId, attempt: job.attempts, delayMs, error: detail });
+        return;
+      }
+      if (stopped && transient) {
+        // leave it queued for the next boot
+        await ref.update({ status: 'queued', error: detail, updatedAt: FieldValue.serverTimestamp() }).catch(() => {});
+        return;
+      }
+      await ref.update({ status: 'failed', error: detail, failedAt: FieldValue.serverTimestamp(), updatedAt: FieldValue.serverTimestamp() }).catch(() => {});
+      sessions.publish(lane.meta, 'outbound_failed', { jobId: job.id, chatId: job.chatId, attempts: job.attempts, error: detail });
+      settle(job.id, new Error(detail));
+    }
+  }
+
+  // Re-load queued jobs for a session once per process (called when it becomes ready).
+  async function hydrate(meta) {
+    const lane = laneOf(meta);
+    if (lane.hydrated) return;
+    lane.hydrated = true;
+
+    const snap = await colOf(meta).where('status', 'in', ['queued', 'sending']).get();
+    for (const d of snap.docs) {
+      if (lane.known.has(d.id)) continue; // enqueued by this process (maybe sending right now)
+      const x = d.data() || {};
+      if (x.status === 'sending') {
+        // interrupted mid-send: delivery is unknown, don't risk a duplicate
+        await d.ref.update({ status: 'unknown', error: 'interrupted during send (delivery unknown)', updatedAt: FieldValue.serverTimestamp() }).catch(() => {});
+        settle(d.id, Object.assign(new Error('interrupted during send (delivery unknown)'), { deliveryUnknown: true }));
+        continue;
+      }
+      if (x.mediaInMemory) {
+        await d.ref.update({ status: 'failed', error: 'inline media payload lost on restart', updatedAt: FieldValue.serverTimestamp() }).catch(() => {});
+        settle(d.id, new Error('inline media payload lost on restart'));
+        continue;
+      }
+      lane.jobs.push({
+        id: d.id,
+        kind: x.kind,
+        to: x.to,
+        chatId: x.chatId || null,
+        text: x.text ?? null,
+        media: x.media || null,
+        params: x.params || null,
+        options: x.options || {},
+        typing: x.typing || null,
+        priority: x.priority || 'normal',
+        rank: rank(x.priority),
+        createdAt: x.createdAt?.toMillis?.() || Date.now(),
+        attempts: Number(x.attempts) || 0,
+        notBefore: x.notBefore?.toMillis?.() || null,
+      });
+    }
+    lane.known = null; // only needed to de-duplicate against this first load
+    sortLane(lane);
+    pump(lane);
+  }
+
+  /**
+   * Enqueue a send. Returns { jobId, position, done } where done resolves with
+   * { jobId, id, timestamp } once sent (or rejects when the job finally fails / is cancelled).
+   * A caller-chosen jobId makes enqueueing idempotent: the doc is created in a transaction, and an
+   * existing queued/sending job is the same job (done follows it), a sent one resolves immediately,
+   * one whose delivery is unknown rejects with err.deliveryUnknown. Only failed/cancelled ones are
+   * queued again.
+   */
+  async function enqueue({ accountId, label, kind = 'text', to, text = null, media = null, params = null, options = {}, typing = null, priority = 'normal', source = 'api', jobId = null }) {
+    if (stopped) throw new Error('server shutting down');
+    if (!SEND_KINDS.includes(kind)) throw new Error(`invalid kind "${kind}"`);
+    const meta = { accountId, label };
+    const lane = laneOf(meta);
+    const col = colOf(meta);
+
+    if (jobId) {
+      const inLane = lane.jobs.find((j) => j.id === jobId);
+      if (inLane) return { jobId, position: lane.jobs.indexOf(inLane) + 1, done: wait(jobId) };
+    }
+
+    const ref = jobId ? col.doc(jobId) : col.doc();
+    const chatId = normalizeChatId(to);
+    const { media: storedMedia, inMemory } = persistableMedia(media);
+    const job = {
+      id: ref.id,
+      kind,
+      to: String(to),
+      chatId,
+      text: text === null ? null : String(text),
+      media,
+      params: params || null,
+      options: options || {},
+      typing: typing || null,
+      priority: SEND_PRIORITY[priority] !== undefined ? priority : 'normal',
+      rank: rank(priority),
+      createdAt: Date.now(),
+      attempts: 0,
+      notBefore: null,
+    };
+    const doc = {
+      kind,
+      to: job.to,
+      chatId,
+      text: job.text,
+      media: storedMedia,
+      mediaInMemory: inMemory,
+      params: job.params,
+      options: job.options,
+      typing: job.typing,
+      priority: job.priority,
+      source,
+      status: 'queued',
+      attempts: 0,
+      notBefore: null,
+      waMessageId: null,
+      error: null,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    };
+
+    if (!jobId) {
+      lane.known?.add(ref.id);
+      await ref.set(doc);
+    } else {
+      const existing = await db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (snap.exists && !['failed', 'cancelled'].includes(snap.get('status'))) return snap;
+        lane.known?.add(ref.id);
+        tx.set(ref, doc);
+        return null;
+      });
+      if (existing?.get('status') === 'sent') {
+        const done = Promise.resolve({ jobId, id: existing.get('waMessageId') || null, timestamp: existing.get('waTimestamp') || null });
+        return { jobId, position: null, done };
+      }
+      if (existing?.get('status') === 'unknown') {
+        // an earlier attempt may have gone out: never send this job id again
+        const done = Promise.reject(Object.assign(new Error(existing.get('error') || 'delivery unknown'), { deliveryUnknown: true }));
+        done.catch(() => {});
+        return { jobId, position: null, done };
+      }
+      if (existing) {
+        // queued (maybe not hydrated yet) or being sent right now: follow that job
+        const inLane = lane.jobs.find((j) => j.id === jobId);
+        return { jobId, position: inLane ? lane.jobs.indexOf(inLane) + 1 : null, done: wait(jobId) };
+      }
+    }
+
+    const done = wait(job.id);
+    lane.jobs.push(job);
+    sortLane(lane);
+    const position = lane.jobs.indexOf(job) + 1;
+    sessions.publish(meta, 'outbound_queued', { jobId: job.id, chatId, priority: job.priority, position });
+    pump(lane);
+    return { jobId: job.id, position, done };
+  }
+
+  async function cancel({ accountId, label, jobId }) {
+    const lane = laneOf({ accountId, label });
+    const idx = lane.jobs.findIndex((j) => j.id === jobId);
+    const ref = colOf({ accountId, label }).doc(jobId);
+    if (idx < 0) {
+      const snap = await ref.get();
+      if (!snap.exists) return { ok: false, reason: 'not_found' };
+      return { ok: false, reason: `not cancellable (status=${snap.get('status')})` };
+    }
+    const [job] = lane.jobs.splice(idx, 1);
+    await ref.update({ status: 'cancelled', cancelledAt: FieldValue.serverTimestamp(), updatedAt: FieldValue.serverTimestamp() });
+    sessions.publish({ accountId, label }, 'outbound_cancelled', { jobId, chatId: job.chatId });
+    settle(jobId, new Error('cancelled'));
+    return { ok: true };
+  }
+
+  async function status({ accountId, label, withRecent = true }) {
+    const lane = laneOf({ accountId, label });
+    const out = {
+      accountId,
+      label,
+      perMinute: cfg.perMinute,
+      sending: lane.busy,
+      nextAt: lane.nextAt,
+      lastSentAt: lane.lastSentAt || null,
+      pending: lane.jobs.map((j, i) => publicJob(j, i + 1)),
+    };
+    if (withRecent) {
+      const snap = await colOf({ accountId, label }).orderBy('updatedAt', 'desc').limit(cfg.recentLimit).get();
+      out.recent = snap.docs
+        .filter((d) => !['queued', 'sending'].includes(d.get('status')))
+        .map((d) => jobDoc(d));
+    }
+    return out;
+  }
+
+  function jobDoc(d) {
+    const x = d.data() || {};
+    return {
+      jobId: d.id,
+      kind: x.kind || null,
+      to: x.to || null,
+      priority: x.priority || null,
+      source: x.source || null,
+      status: x.status || null,
+      attempts: x.attempts || 0,
+      waMessageId: x.waMessageId || null,
+      waTimestamp: x.waTimestamp || null,
+      error: x.error || null,
+      createdAt: x.createdAt?.toDate?.() || null,
+      updatedAt: x.updatedAt?.toDate?.() || null,
+    };
+  }
+
+  async function getJob({ accountId, label, jobId }) {
+    const snap = await colOf({ accountId, label }).doc(jobId).get();
+    if (!snap.exists) return null;
+    const lane = laneOf({ accountId, label });
+    const idx = lane.jobs.findIndex((j) => j.id === jobId);
+    return { ...jobDoc(snap), position: idx < 0 ? null : idx + 1 };
+  }
+
+  // Shutdown: stop dispatching; queued jobs stay in Firestore for the next boot.
+  function stop() {
+    stopped = true;
+    for (const lane of lanes.values()) {
+      if (lane.timer) clearTimeout(lane.timer);
+      lane.timer = null;
+    }
+  }
+
+  const accepts = (st) => ACCEPTING.has(st);
+
+  sessions.on('evt', (evt) => {
+    if (evt?.type !== 'ready') return;
+    const meta = { accountId: evt.accountId, label: evt.sessionId };
+    hydrate(meta).catch((e) => console.error('[sendQueue] hydrate failed', keyOf(meta), e));
+    const lane = lanes.get(keyOf(meta));
+    if (lane && !lane.busy) { if (lane.timer) clearTimeout(lane.timer); lane.timer = null; pump(lane); }
+  });
+
+  return { enqueue, cancel, status, getJob, accepts, stop };
+}
@@ -1,22 +1,117 @@
-// Chats feature (pure logic). Injects a ready-client getter.
-import { sleep, rand, buildRawNumber } from './utils.js';
+// Chats feature (pure logic). Injects a ready-client getter + the bus emitter (chat actions).
+import { sleep, rand, buildRawNumber, normalizeChatId } from './utils.js';
+import { ACK_NAMES } from './events.js';
 
-export function makeChats({ getReadyClient }) {
+// History paging: fetchMessages only returns the newest N, so pages further back are read by
+// asking for a bigger window each round (×2) until the cursor is covered or history runs out.
+const HISTORY_PAGE_DEFAULT = 50;
+const HISTORY_PAGE_MAX = 100;
+const HISTORY_WINDOW_MAX = 3000;
+
+/**
+ * Normalized message shape shared by every endpoint that returns messages.
+ * Quoted info comes from the raw model (no extra RPC); media is metadata only —
+ * the bytes are served by /media/:messageId.
+ */
+export function toMessagePayload(m) {
+  const d = m?._data || {};
+  const quoted = m?.hasQuotedMsg
+    ? {
+        id: d.quotedStanzaID || null,
+        participant: d.quotedParticipant?._serialized || d.quotedParticipant || null,
+        body: d.quotedMsg?.body ?? d.quotedMsg?.caption ?? null,
+        type: d.quotedMsg?.type || null,
+      }
+    : null;
+
+  const media = m?.hasMedia
+    ? {
+        mimetype: d.mimetype || null,
+        filename: d.filename || null,
+        size: typeof d.size === 'number' ? d.size : null,
+        duration: m?.duration ? Number(m.duration) : null,
+      }
+    : null;
+
+  return {
+    id: m?.id?._serialized || null,
+    chatId: m?.fromMe ? m?.to : m?.from,
+    fromMe: !!m?.fromMe,
+    author: m?.author || null,
+    body: m?.body ?? '',
+    type: m?.type || null,
+    timestamp: m?.timestamp || null,
+    ack: typeof m?.ack === 'number' ? m.ack : null,
+    ackName: typeof m?.ack === 'number' ? ACK_NAMES[m.ack] || null : null,
+    hasMedia: !!m?.hasMedia,
+    media,
+    quoted,
+    isForwarded: !!m?.isForwarded,
+    isStarred: !!m?.isStarred,
+    mentions: Array.isArray(m?.mentionedIds) ? m.mentionedIds.map((x) => x?._serialized || x) : [],
+    location: m?.location
+      ? { latitude: m.location.latitude, longitude: m.location.longitude, name: m.location.name || null, address: m.location.address || null }
+      : null,
+  };
+}
+
+export function toChatPayload(c, fallbackId = null) {
+  return {
+    id: c?.id?._serialized || fallbackId,
+    name: c?.name || null,
+    isGroup: !!c?.isGroup,
+    unreadCount: typeof c?.unreadCount === 'number' ? c.unreadCount : null,
+    archived: !!c?.archived,
+    pinned: !!c?.pinned,
+    isMuted: !!c?.isMuted,
+    muteExpiration: c?.isMuted ? c?.muteExpiration ?? null : null,
+    isReadOnly: !!c?.isReadOnly,
+  };
+}
+
+// Chat actions: name → (chat, params) → fields merged into the chat_updated event.
+// A falsy result from WhatsApp (e.g. pin over the 3-chat limit) is reported as a refusal.
+const CHAT_ACTIONS = {
+  archive: async (chat) => (await chat.archive(), { archived: true }),
+  unarchive: async (chat) => (await chat.unarchive(), { archived: false }),
+  pin: async (chat) => ((await chat.pin()) ? { pinned: true } : null),
+  unpin: async (chat) => ((await chat.unpin()) === false ? { pinned: false } : null),
+  mute: async (chat, { until }) => {
+    const r = await chat.mute(until || undefined);
+    return { isMuted: !!r?.isMuted, muteExpiration: r?.muteExpiration ?? null };
+  },
+  unmute: async (chat) => {
+    const r = await chat.unmute();
+    return { isMuted: !!r?.isMuted, muteExpiration: null };
+  },
+  markSeen: async (chat) => ((await chat.sendSeen()) !== false ? { unreadCount: 0 } : null),
+  markUnread: async (chat) => (await chat.markUnread(), { markedUnread: true }),
+  clear: async (chat) => ((await chat.clearMessages()) ? { cleared: true } : null),
+  delete: async (chat) => ((await chat.delete()) ? { deleted: true } : null),
+};
+export const CHAT_ACTION_NAMES = Object.keys(CHAT_ACTIONS);
+
+// `before` is a message id, unix seconds/millis, or an ISO date. Returns { id } or { ts } (seconds).
+function parseCursor(before) {
+  const s = String(before ?? '').trim();
+  if (!s) return null;
+  if (/^\d+$/.test(s)) {
+    const n = Number(s);
+    return { ts: n > 1e12 ? Math.floor(n / 1000) : n };
+  }
+  if (!s.includes('@')) {
+    const t = Date.parse(s);
+    if (Number.isFinite(t)) return { ts: Math.floor(t / 1000) };
+  }
+  return { id: s };
+}
+
+export function makeChats({ getReadyClient, emit }) {
   // Lightweight list of chats (no messages)
   async function getChats({ accountId, label }) {
     const client = await getReadyClient({ accountId, label });
     const chats = await client.getChats();
-    return chats
-      .map((c) => ({
-        id: c?.id?._serialized || null,
-        name: c?.name || null,
-        isGroup: !!c?.isGroup,
-        unreadCount: typeof c?.unreadCount === 'number' ? c.unreadCount : null,
-        archived: !!c?.archived,
-        pinned: !!c?.pinned,
-        isReadOnly: !!c?.isReadOnly,
-      }))
-      .filter((x) => x.id);
+    return chats.map((c) => toChatPayload(c)).filter((x) => x.id);
   }
 
   // Find chat by phone number; returns registration + whether a chat exists + basic chat meta if found
@@ -51,15 +146,7 @@ export function makeChats({ getReadyClient }) {
       return { input: String(number), normalized, registered: true, waId, exists: false, chat: null };
     }
 
-    const payload = {
-      id: chat?.id?._serialized || waId,
-      name: chat?.name || null,
-      isGroup: !!chat?.isGroup,
-      unreadCount: typeof chat?.unreadCount === 'number' ? chat.unreadCount : null,
-      archived: !!chat?.archived,
-      pinned: !!chat?.pinned,
-      isReadOnly: !!chat?.isReadOnly,
-    };
+    const payload = toChatPayload(chat, waId);
 
     return { input: String(number), normalized, registered: true, waId, exists: true, chat: payload };
   }
@@ -109,32 +196,13 @@ export function makeChats({ getReadyClient }) {
         continue;
       }
 
-      const payload = {
-        id: chat?.id?._serialized || waId,
-        name: chat?.name || null,
-        isGroup: !!chat?.isGroup,
-        unreadCount: typeof chat?.unreadCount === 'number' ? chat.unreadCount : null,
-        archived: !!chat?.archived,
-        pinned: !!chat?.pinned,
-        isReadOnly: !!chat?.isReadOnly,
-      };
+      const payload = toChatPayload(chat, waId);
 
       let messages = [];
       if (withMessages) {
         try {
           const list = await chat.fetchMessages({ limit: Math.max(1, Math.min(100, Number(messagesLimit) || 20)) });
-          messages = (list || [])
-            .map((m) => ({
-              id: m?.id?._serialized || null,
-              chatId: m?.fromMe ? m?.to : m?.from,
-              fromMe: !!m?.fromMe,
-              body: m?.body ?? '',
-              type: m?.type || null,
-              timestamp: m?.timestamp || null,
-              hasMedia: !!m?.hasMedia,
-              // Note: media downloads via /media/:messageId depend on live cache.
-            }))
-            .filter((x) => x.id);
+          messages = (list || []).map(toMessagePayload).filter((x) => x.id);
         } catch {
           messages = [];
         }
@@ -154,5 +222,94 @@ export function makeChats({ getReadyClient }) {
     return out;
   }
 
-  return { getChats, getChatByNumber, getChatsByNumbers };
+  // Apply one of CHAT_ACTIONS. mute takes { durationMs } or { until } (date); neither = forever.
+  async function chatAction({ accountId, label, chatId, action, durationMs = null, until = null }) {
+    const fn = CHAT_ACTIONS[action];
+    if (!fn) throw new Error(`invalid action "${action}"`);
+
+    const client = await getReadyClient({ accountId, label });
+    const id = normalizeChatId(chatId);
+    if (!id) throw new Error('invalid chatId');
+
+    let chat = null;
+    try { chat = await client.getChatById(id); } catch {}
+    if (!chat) throw new Error('chat not found');
+
+    let unmuteAt = null;
+    if (action === 'mute') {
+      if (durationMs != null) {
+        const ms = Number(durationMs);
+        if (!Number.isFinite(ms) || ms <= 0) throw new Error('invalid durationMs');
+        unmuteAt = new Date(Date.now() + ms);
+      } else if (until != null) {
+        unmuteAt = new Date(until);
+        if (!Number.isFinite(unmuteAt.getTime()) || unmuteAt.getTime() <= Date.now()) throw new Error('invalid until');
+      }
+    }
+
+    const state = await fn(chat, { until: unmuteAt });
+    if (!state) throw new Error(`cannot ${action} this chat`);
+
+    const out = { chatId: chat?.id?._serialized || id, action, ...state };
+    emit({ accountId, label }, 'chat_updated', out);
+    return out;
+  }
+
+  // One page of history, oldest → newest, strictly older than `before` (newest page when omitted).
+  // nextBefore feeds the next (older) page; null once the start of the chat is reached.
+  // A cursor older than the last HISTORY_WINDOW_MAX messages throws instead of reading as the start.
+  async function getChatMessages({ accountId, label, chatId, before = null, limit = HISTORY_PAGE_DEFAULT }) {
+    const client = await getReadyClient({ accountId, label });
+    const id = normalizeChatId(chatId);
+    if (!id) throw new Error('invalid chatId');
+
+    let chat = null;
+    try { chat = await client.getChatById(id); } catch {}
+    if (!chat) throw new Error('chat not found');
+
+    const pageSize = Math.max(1, Math.min(HISTORY_PAGE_MAX, Number(limit) || HISTORY_PAGE_DEFAULT));
+    const cursor = parseCursor(before);
+
+    let windowSize = pageSize + 1;
+    let list = [];
+    let older = [];
+    let exhausted = false;
+
+    for (;;) {
+      list = (await chat.fetchMessages({ limit: windowSize })) || [];
+      exhausted = list.length < windowSize;
+
+      if (!cursor) {
+        older = list;
+      } else if (cursor.id) {
+        const idx = list.findIndex((m) => m?.id?._serialized === cursor.id);
+        older = idx >= 0 ? list.slice(0, idx) : [];
+        if (idx < 0 && exhausted) throw new Error('cursor message not found');
+        if (idx < 0) older = null; // cursor not loaded yet
+      } else {
+        older = list.filter((m) => (m?.timestamp || 0) < cursor.ts);
+      }
+
+      if (older && (older.length > pageSize || exhausted)) break;
+      if (windowSize >= HISTORY_WINDOW_MAX) {
+        if (!older) throw new Error('cursor message not found (beyond history window)');
+        if (!older.length) throw new Error(`cannot page before the cursor: it is older than the last ${HISTORY_WINDOW_MAX} messages`);
+        break;
+      }
+      windowSize = Math.min(HISTORY_WINDOW_MAX, windowSize * 2);
+    }
+
+    const hasMore = older.length > pageSize || (!exhausted && older.length > 0);
+    const page = older.slice(-pageSize).map(toMessagePayload).filter((x) => x.id);
+
+    return {
+      chatId: chat?.id?._serialized || id,
+      count: page.length,
+      messages: page,
+      hasMore,
+      nextBefore: hasMore && page.length ? page[0].id : null,
+    };
+  }
+
+  return { getChats, getChatByNumber, getChatsByNumbers, getChatMessages, chatAction };
 }
@@ -1,7 +1,8 @@
 // Contacts & lookups feature (pure logic). Injects a ready-client getter.
-import { sleep, rand, buildRawNumber } from './utils.js';
+// The block list also needs the bus emitter (blocklist_updated) and the registry (mirror on the session doc).
+import { sleep, rand, buildRawNumber, normalizeChatId } from './utils.js';
 
-export function makeContacts({ getReadyClient }) {
+export function makeContacts({ getReadyClient, emit, registry }) {
   // Get all contacts (optionally enrich with profilePicUrl + about + hasChat)
   async function getContacts({ accountId, label, withDetails = false }) {
     const client = await getReadyClient({ accountId, label });
@@ -191,5 +192,45 @@ export function makeContacts({ getReadyClient }) {
     };
   }
 
-  return { getContacts, lookupContactsByNumbers, checkContactByNumber };
+  // ---------- Block list ----------
+  async function readBlocked(client) {
+    const list = await client.getBlockedContacts();
+    return (list || []).map((c) => c?.id?._serialized).filter(Boolean).sort();
+  }
+
+  async function listBlocked({ accountId, label }) {
+    const client = await getReadyClient({ accountId, label });
+    const ids = await readBlocked(client);
+    await registry.setBlocklist(accountId, label, ids);
+    return ids;
+  }
+
+  async function setBlocked({ accountId, label, contactId, blocked }) {
+    const client = await getReadyClient({ accountId, label });
+    const id = normalizeChatId(contactId);
+    if (!id || id.endsWith('@g.us')) throw new Error('invalid contactId');
+
+    const contact = await client.getContactById(id);
+    const ok = blocked ? await contact.block() : await contact.unblock();
+    if (!ok) throw new Error(`cannot ${blocked ? 'block' : 'unblock'} ${id}`);
+
+    const ids = await readBlocked(client);
+    await registry.setBlocklist(accountId, label, ids);
+    emit({ accountId, label }, 'blocklist_updated', { action: blocked ? 'blocked' : 'unblocked', chatId: id, blocked: ids });
+    return { contactId: id, blocked: !!blocked, blockedCount: ids.length };
+  }
+
+  // On ready: pick up blocks/unblocks made on the phone since the last mirror.
+  async function syncBlocked({ accountId, label }) {
+    const client = await getReadyClient({ accountId, label });
+    const ids = await readBlocked(client);
+    const prev = (await registry.getBlocklist(accountId, label))?.ids || [];
+    if (prev.length === ids.length && prev.every((x, i) => x === ids[i])) return ids;
+
+    await registry.setBlocklist(accountId, label, ids);
+    emit({ accountId, label }, 'blocklist_updated', { action: 'sync', chatId: null, blocked: ids });
+    return ids;
+  }
+
+  return { getContacts, lookupContactsByNumbers, checkContactByNumber, listBlocked, setBlocked, syncBlocked };
 }
@@ -0,0 +1,94 @@
+// Extra WhatsApp client events forwarded onto the session bus as typed events.
+// Each handler maps the whatsapp-web.js payload to plain JSON; emit() adds the usual envelope
+// ({ type, ts, accountId, sessionId, waId }). chatId is set wherever one exists so WS filters work.
+
+// message.ack values (whatsapp-web.js MessageAck)
+export const ACK_NAMES = { '-1': 'error', 0: 'pending', 1: 'server', 2: 'device', 3: 'read', 4: 'played' };
+
+const sid = (x) => (typeof x === 'object' && x ? x._serialized : x) || null;
+const chatIdOf = (m) => (m?.fromMe ? m?.to : m?.from) || null;
+
+function groupPayload(n) {
+  return {
+    chatId: n?.chatId || null,
+    author: n?.author || null,
+    recipientIds: Array.isArray(n?.recipientIds) ? n.recipientIds.map(sid) : [],
+    subtype: n?.type || null,
+    body: n?.body || '',
+    waTimestamp: n?.timestamp || null,
+  };
+}
+
+export function forwardClientEvents(client, publish) {
+  const on = (name, type, map) => {
+    client.on(name, (...args) => {
+      try { publish(type, map(...args)); } catch (e) { console.error(`[events] ${name} mapping failed`, e); }
+    });
+  };
+
+  // Session lifecycle / progress
+  on('loading_screen', 'loading', (percent, message) => ({ percent: Number(percent) || 0, message: message || null }));
+  on('authenticated', 'authenticated', () => ({})); // payload carries auth material; never forwarded
+  on('change_state', 'state', (state) => ({ state: String(state) }));
+
+  // Message lifecycle
+  on('message_ack', 'ack', (m, ack) => ({
+    id: sid(m?.id),
+    chatId: chatIdOf(m),
+    fromMe: !!m?.fromMe,
+    ack,
+    ackName: ACK_NAMES[ack] || null,
+  }));
+
+  on('message_revoke_everyone', 'revoked', (m, before) => ({
+    id: sid(m?.id),
+    chatId: chatIdOf(m),
+    fromMe: !!m?.fromMe,
+    scope: 'everyone',
+    previousBody: before?.body ?? null,
+    previousType: before?.type ?? null,
+  }));
+
+  on('message_revoke_me', 'revoked', (m) => ({
+    id: sid(m?.id),
+    chatId: chatIdOf(m),
+    fromMe: !!m?.fromMe,
+    scope: 'me',
+  }));
+
+  on('message_edit', 'edited', (m, newBody, prevBody) => ({
+    id: sid(m?.id),
+    chatId: chatIdOf(m),
+    fromMe: !!m?.fromMe,
+    body: newBody ?? m?.body ?? '',
+    previousBody: prevBody ?? null,
+  }));
+
+  on('message_reaction', 'reaction', (r) => ({
+    id: sid(r?.id),
+    messageId: sid(r?.msgId),
+    chatId: r?.msgId?.remote ? sid(r.msgId.remote) : null,
+    senderId: r?.senderId || null,
+    fromMe: !!r?.id?.fromMe,
+    reaction: r?.reaction || '', // '' = reaction removed
+    waTimestamp: r?.timestamp || null,
+  }));
+
+  // Groups
+  on('group_join', 'group_join', groupPayload);
+  on('group_leave', 'group_leave', groupPayload);
+  on('group_update', 'group_update', groupPayload);
+  on('group_admin_changed', 'group_admin_changed', groupPayload);
+
+  // Calls (observed only; never answered or rejected here)
+  on('call', 'call', (c) => ({
+    callId: c?.id || null,
+    chatId: c?.from || null,
+    from: c?.from || null,
+    isVideo: !!c?.isVideo,
+    isGroup: !!c?.isGroup,
+    fromMe: !!c?.fromMe,
+    participants: c?.participants || null,
+    waTimestamp: c?.timestamp || null,
+  }));
+}
@@ -0,0 +1,164 @@
+// Groups feature (pure logic). Injects a ready-client getter.
+// Changes made here come back from WhatsApp as the usual group_join / group_leave / group_update /
+// group_admin_changed bus events (session/events.js), so nothing is emitted twice from here.
+import { normalizeChatId } from './utils.js';
+import { toMessageMedia } from './media.js';
+
+const INVITE_URL = 'https://chat.whatsapp.com/';
+
+// Participant changes: action → GroupChat method
+const PARTICIPANT_ACTIONS = {
+  add: 'addParticipants',
+  remove: 'removeParticipants',
+  promote: 'promoteParticipants',
+  demote: 'demoteParticipants',
+};
+export const PARTICIPANT_ACTION_NAMES = Object.keys(PARTICIPANT_ACTIONS);
+
+// Settings: body key → GroupChat setter (each takes adminsOnly: boolean)
+const SETTINGS = {
+  messagesAdminsOnly: 'setMessagesAdminsOnly',
+  infoAdminsOnly: 'setInfoAdminsOnly',
+  addMembersAdminsOnly: 'setAddMembersAdminsOnly',
+};
+
+// "https://chat.whatsapp.com/AbC123" | "AbC123" → "AbC123"
+export function inviteCodeOf(input) {
+  const s = String(input || '').trim();
+  const code = s.startsWith('http') ? s.split('/').filter(Boolean).pop() : s;
+  return /^[A-Za-z0-9_-]{10,40}$/.test(code || '') ? code : null;
+}
+
+const toIds = (list) => (Array.isArray(list) ? list : [list]).map(normalizeChatId).filter(Boolean);
+
+export function makeGroups({ getReadyClient }) {
+  async function groupOf({ accountId, label, groupId }) {
+    const client = await getReadyClient({ accountId, label });
+    const id = String(groupId || '').trim();
+    if (!id.endsWith('@g.us')) throw new Error('invalid groupId (expected ...@g.us)');
+
+    let chat = null;
+    try { chat = await client.getChatById(id); } catch {}
+    if (!chat) throw new Error('group not found');
+    if (!chat.isGroup) throw new Error('invalid groupId (not a group)');
+    return { client, chat };
+  }
+
+  function groupPayload(chat) {
+    const md = chat?.groupMetadata || {};
+    return {
+      id: chat?.id?._serialized || null,
+      name: chat?.name || null,
+      description: md.desc || null,
+      owner: md.owner?._serialized || null,
+      createdAt: md.creation ? new Date(md.creation * 1000).toISOString() : null,
+      settings: {
+        messagesAdminsOnly: !!md.announce,
+        infoAdminsOnly: !!md.restrict,
+        addMembersAdminsOnly: md.memberAddMode === 'admin_add',
+      },
+    };
+  }
+
+  // participants: [number|waId], options: { messageTimer, isAnnounce, isRestrict, memberAddMode, ... }
+  async function createGroup({ accountId, label, title, participants = [], options = {} }) {
+    const client = await getReadyClient({ accountId, label });
+    const name = String(title || '').trim();
+    if (!name) throw new Error('title required');
+
+    const res = await client.createGroup(name, toIds(participants), options);
+    if (typeof res === 'string') throw new Error(`cannot create group: ${res}`);
+    return {
+      groupId: res?.gid?._serialized || null,
+      title: res?.title || name,
+      participants: res?.participants || {},
+    };
+  }
+
+  async function getGroup({ accountId, label, groupId }) {
+    const { chat } = await groupOf({ accountId, label, groupId });
+    const participants = (chat.participants || []).map((p) => ({
+      id: p?.id?._serialized || null,
+      isAdmin: !!p?.isAdmin,
+      isSuperAdmin: !!p?.isSuperAdmin,
+    }));
+    return { ...groupPayload(chat), participantCount: participants.length, participants };
+  }
+
+  async function updateParticipants({ accountId, label, groupId, action, participants = [], options = {} }) {
+    const method = PARTICIPANT_ACTIONS[action];
+    if (!method) throw new Error(`invalid action "${action}"`);
+    const ids = toIds(participants);
+    if (!ids.length) throw new Error('participants[] required');
+
+    const { chat } = await groupOf({ accountId, label, groupId });
+    const res = action === 'add' ? await chat[method](ids, options) : await chat[method](ids);
+    if (typeof res === 'string') throw new Error(`cannot ${action} participants: ${res}`);
+    return { groupId: chat.id._serialized, action, participants: ids, result: res ?? null };
+  }
+
+  async function setSubject({ accountId, label, groupId, subject }) {
+    const { chat } = await groupOf({ accountId, label, groupId });
+    const ok = await chat.setSubject(String(subject));
+    if (!ok) throw new Error('cannot change subject (not an admin?)');
+    return { groupId: chat.id._serialized, subject: String(subject) };
+  }
+
+  async function setDescription({ accountId, label, groupId, description }) {
+    const { chat } = await groupOf({ accountId, label, groupId });
+    const ok = await chat.setDescription(String(description ?? ''));
+    if (!ok) throw new Error('cannot change description (not an admin?)');
+    return { groupId: chat.id._serialized, description: String(description ?? '') };
+  }
+
+  // media: the usual media payload; null removes the picture.
+  async function setPicture({ accountId, label, groupId, media = null }) {
+    const { chat } = await groupOf({ accountId, label, groupId });
+    const ok = media ? await chat.setPicture(await toMessageMedia(media)) : await chat.deletePicture();
+    if (!ok) throw new Error('cannot change picture (not an admin?)');
+    return { groupId: chat.id._serialized, picture: media ? 'updated' : 'removed' };
+  }
+
+  // settings: any of { messagesAdminsOnly, infoAdminsOnly, addMembersAdminsOnly } as booleans
+  async function setSettings({ accountId, label, groupId, settings = {} }) {
+    const keys = Object.keys(SETTINGS).filter((k) => typeof settings[k] === 'boolean');
+    if (!keys.length) throw new Error(`settings required (${Object.keys(SETTINGS).join(', ')})`);
+
+    const { chat } = await groupOf({ accountId, label, groupId });
+    const applied = {};
+    for (const k of keys) {
+      const ok = await chat[SETTINGS[k]](settings[k]);
+      if (!ok) throw new Error(`cannot change ${k} (not an admin?)`);
+      applied[k] = settings[k];
+    }
+    return { groupId: chat.id._serialized, settings: applied };
+  }
+
+  async function getInvite({ accountId, label, groupId }) {
+    const { chat } = await groupOf({ accountId, label, groupId });
+    const code = await chat.getInviteCode();
+    if (!code || typeof code !== 'string') throw new Error('cannot read invite link (not an admin?)');
+    return { groupId: chat.id._serialized, code, link: INVITE_URL + code };
+  }
+
+  async function revokeInvite({ accountId, label, groupId }) {
+    const { chat } = await groupOf({ accountId, label, groupId });
+    const code = await chat.revokeInvite();
+    if (!code) throw new Error('cannot revoke invite link (not an admin?)');
+    return { groupId: chat.id._serialized, code, link: INVITE_URL + code };
+  }
+
+  // invite: code or full chat.whatsapp.com link
+  async function joinByInvite({ accountId, label, invite }) {
+    const code = inviteCodeOf(invite);
+    if (!code) throw new Error('invalid invite code');
+    const client = await getReadyClient({ accountId, label });
+    const groupId = await client.acceptInvite(code);
+    return { groupId: groupId || null, code };
+  }
+
+  return {
+    createGroup, getGroup, updateParticipants, setSubject, setDescription, setPicture, setSettings,
+    getInvite, revokeInvite, joinByInvite,
+  };
+}
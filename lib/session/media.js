@@ -0,0 +1,14 @@
+// Media payloads accepted by the REST API → whatsapp-web.js MessageMedia.
+// { data (base64), mimetype, filename?, filesize? } | { url } | { localPath }
+import wwebjs from 'whatsapp-web.js';
+
+const { MessageMedia } = wwebjs;
+
+export async function toMessageMedia(media) {
+  if (media?.data && media?.mimetype) {
+    return new MessageMedia(String(media.mimetype), String(media.data), media?.filename || null, media?.filesize || null);
+  }
+  if (media?.url) return MessageMedia.fromUrl(String(media.url));
+  if (media?.localPath) return MessageMedia.fromFilePath(String(media.localPath));
+  throw new Error('invalid media payload');
+}
@@ -0,0 +1,200 @@
+// Rich message sends + lifecycle ops (pure logic). Injects a ready-client getter + the bus emitter.
+// - Sends: quoted replies, @mentions, location pins, contact cards and polls; each emits the usual
+//   'sent' event with the WhatsApp messageType of what went out. REST / WS callers reach them through
+//   the send queue (kinds reply / mention / location / contactCard / poll / forward), so pacing applies.
+// - Reactions are not messages: react() emits 'reaction' (source:'api') instead of 'sent'.
+// - Lifecycle: edit, revoke (me/everyone), forward, star/unstar by message id. Messages are looked up
+//   live via client.getMessageById, so this works for any message the device still has.
+import wwebjs from 'whatsapp-web.js';
+import { normalizeChatId, dispatched } from './utils.js';
+
+const { Location, Poll } = wwebjs;
+
+// Serialized message ids look like "true_5215512345678@c.us_3EB0..." → the chat is the middle part.
+export function chatIdFromMessageId(messageId) {
+  const parts = String(messageId || '').split('_');
+  return parts.length >= 3 ? parts[1] : null;
+}
+
+export function makeMessages({ getReadyClient, emit }) {
+  function sent(meta, msg, chatId, messageType, extra = {}) {
+    emit(meta, 'sent', {
+      id: msg?.id?._serialized || null,
+      chatId,
+      body: msg?.body ?? '',
+      messageType,
+      fromMe: true,
+      waTimestamp: msg?.timestamp || Date.now(),
+      ...extra,
+    });
+    return msg;
+  }
+
+  function resolveChat(to, messageId = null) {
+    const chatId = normalizeChatId(to) || chatIdFromMessageId(messageId);
+    if (!chatId) throw new Error('invalid "to"');
+    return chatId;
+  }
+
+  const chatIdOf = (msg) => (msg?.fromMe ? msg?.to : msg?.from) || null;
+
+  async function findMessage({ accountId, label, messageId }) {
+    const client = await getReadyClient({ accountId, label });
+    const msg = await client.getMessageById(String(messageId));
+    if (!msg) throw new Error('message not found');
+    return { client, msg };
+  }
+
+  // Reply quoting an earlier message; `to` defaults to the quoted message's chat.
+  async function sendReply({ accountId, label, to = null, quotedMessageId, text, mentions = [], options = {} }) {
+    const client = await getReadyClient({ accountId, label });
+    const chatId = resolveChat(to, quotedMessageId);
+    const mentionIds = (mentions || []).map(normalizeChatId).filter(Boolean);
+
+    const msg = await dispatched(client.sendMessage(chatId, String(text), {
+      ...options,
+      quotedMessageId: String(quotedMessageId),
+      ...(mentionIds.length ? { mentions: mentionIds } : {}),
+    }));
+    return sent({ accountId, label }, msg, chatId, 'chat', {
+      body: String(text),
+      quotedMessageId: String(quotedMessageId),
+      ...(mentionIds.length ? { mentions: mentionIds } : {}),
+    });
+  }
+
+  // @mentions (groups). Any mentioned number missing from the text gets an "@<number>" prefix,
+  // since WhatsApp only highlights mentions that appear in the body.
+  async function sendMentions({ accountId, label, to, text = '', mentions = [], options = {} }) {
+    const client = await getReadyClient({ accountId, label });
+    const chatId = resolveChat(to);
+    const mentionIds = (mentions || []).map(normalizeChatId).filter(Boolean);
+    if (!mentionIds.length) throw new Error('mentions[] required');
+
+    let body = String(text || '');
+    const missing = mentionIds
+      .map((id) => `@${id.split('@')[0]}`)
+      .filter((tag) => !body.includes(tag));
+    if (missing.length) body = `${missing.join(' ')} ${body}`.trim();
+
+    const msg = await dispatched(client.sendMessage(chatId, body, { ...options, mentions: mentionIds }));
+    return sent({ accountId, label }, msg, chatId, 'chat', { body, mentions: mentionIds });
+  }
+
+  // Emoji reaction on a message; '' removes ours.
+  async function react({ accountId, label, messageId, emoji }) {
+    const { msg } = await findMessage({ accountId, label, messageId });
+    await msg.react(String(emoji ?? ''));
+    const out = { messageId: String(messageId), chatId: chatIdOf(msg), reaction: String(emoji ?? '') };
+    emit({ accountId, label }, 'reaction', { ...out, fromMe: true, source: 'api' }); // '' = removed
+    return out;
+  }
+
+  async function sendLocation({ accountId, label, to, latitude, longitude, name, address, url, options = {} }) {
+    const client = await getReadyClient({ accountId, label });
+    const chatId = resolveChat(to);
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      throw new Error('invalid latitude/longitude');
+    }
+
+    const loc = new Location(lat, lng, { name: name || undefined, address: address || undefined, url: url || undefined });
+    const msg = await dispatched(client.sendMessage(chatId, loc, options));
+    return sent({ accountId, label }, msg, chatId, 'location', {
+      location: { latitude: lat, longitude: lng, name: name || null, address: address || null, url: url || null },
+    });
+  }
+
+  // Contact cards: WhatsApp contacts by id/number, or a raw vCard string.
+  async function sendContactCard({ accountId, label, to, contacts = [], vcard = null, options = {} }) {
+    const client = await getReadyClient({ accountId, label });
+    const chatId = resolveChat(to);
+
+    let content = null;
+    let messageType = 'vcard';
+    if (vcard) {
+      content = String(vcard);
+      options = { ...options, parseVCards: true };
+    } else {
+      const ids = (contacts || []).map(normalizeChatId).filter(Boolean);
+      if (!ids.length) throw new Error('contacts[] or vcard required');
+      const list = [];
+      for (const id of ids) list.push(await client.getContactById(id));
+      content = list.length === 1 ? list[0] : list;
+      if (list.length > 1) messageType = 'multi_vcard';
+    }
+
+    const msg = await dispatched(client.sendMessage(chatId, content, options));
+    return sent({ accountId, label }, msg, chatId, messageType);
+  }
+
+  async function sendPoll({ accountId, label, to, question, options: pollOptions = [], allowMultipleAnswers = false }) {
+    const client = await getReadyClient({ accountId, label });
+    const chatId = resolveChat(to);
+    const opts = (pollOptions || []).map((o) => String(o).trim()).filter(Boolean);
+    if (!String(question || '').trim()) throw new Error('question required');
+    if (opts.length < 2 || opts.length > 12) throw new Error('poll needs 2–12 options');
+
+    const poll = new Poll(String(question), opts, { allowMultipleAnswers: !!allowMultipleAnswers });
+    const msg = await dispatched(client.sendMessage(chatId, poll));
+    return sent({ accountId, label }, msg, chatId, 'poll_creation', {
+      body: String(question),
+      poll: { question: String(question), options: opts, allowMultipleAnswers: !!allowMultipleAnswers },
+    });
+  }
+
+  // ---------- Lifecycle ----------
+  // These emit right away with source:'api'; the client may echo the same change as its own
+  // 'edited'/'revoked' event, so consumers should treat them idempotently by id.
+
+  // Only our own text messages, within WhatsApp's edit window.
+  async function editMessage({ accountId, label, messageId, text, options = {} }) {
+    const { msg } = await findMessage({ accountId, label, messageId });
+    if (!msg.fromMe) throw new Error('cannot edit a message we did not send');
+
+    const previousBody = msg.body ?? null;
+    const edited = await msg.edit(String(text), options);
+    if (!edited) throw new Error('cannot edit this message (type or edit window)');
+
+    const out = { id: String(messageId), chatId: chatIdOf(msg), body: String(text), previousBody };
+    emit({ accountId, label }, 'edited', { ...out, fromMe: true, source: 'api' });
+    return out;
+  }
+
+  // everyone=false deletes only on this device; everyone=true revokes for all participants.
+  async function revokeMessage({ accountId, label, messageId, everyone = false }) {
+    const { msg } = await findMessage({ accountId, label, messageId });
+    const scope = everyone ? 'everyone' : 'me';
+    await msg.delete(!!everyone);
+
+    const out = { id: String(messageId), chatId: chatIdOf(msg), scope };
+    emit({ accountId, label }, 'revoked', { ...out, fromMe: !!msg.fromMe, source: 'api' });
+    return out;
+  }
+
+  async function forwardMessage({ accountId, label, messageId, to }) {
+    const { msg } = await findMessage({ accountId, label, messageId });
+    const chatId = resolveChat(to);
+    await dispatched(msg.forward(chatId));
+
+    const out = { id: String(messageId), chatId, fromChatId: chatIdOf(msg) };
+    emit({ accountId, label }, 'forwarded', { ...out, messageType: msg.type || null, fromMe: true });
+    return out;
+  }
+
+  async function starMessage({ accountId, label, messageId, starred = true }) {
+    const { msg } = await findMessage({ accountId, label, messageId });
+    if (starred) await msg.star();
+    else await msg.unstar();
+
+    const out = { id: String(messageId), chatId: chatIdOf(msg), starred: !!starred };
+    emit({ accountId, label }, 'starred', { ...out, fromMe: !!msg.fromMe });
+    return out;
+  }
+
+  return {
+    sendReply, sendMentions, react, sendLocation, sendContactCard, sendPoll,
+    findMessage, editMessage, revokeMessage, forwardMessage, starMessage,
+  };
+}
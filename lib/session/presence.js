@@ -0,0 +1,44 @@
+// Presence feature (pure logic). Injects a ready-client getter.
+// Chat states ("typing…", "recording audio…") last ~25s on the other side unless cleared or
+// replaced by a message; online/offline is account-wide.
+import { normalizeChatId } from './utils.js';
+
+export function makePresence({ getReadyClient }) {
+  async function chatOf({ accountId, label, chatId }) {
+    const client = await getReadyClient({ accountId, label });
+    const id = normalizeChatId(chatId);
+    if (!id) throw new Error('invalid chatId');
+
+    let chat = null;
+    try { chat = await client.getChatById(id); } catch {}
+    if (!chat) throw new Error('chat not found');
+    return chat;
+  }
+
+  async function sendStateTyping(params) {
+    const chat = await chatOf(params);
+    await chat.sendStateTyping();
+    return { chatId: chat.id._serialized, state: 'typing' };
+  }
+
+  async function sendStateRecording(params) {
+    const chat = await chatOf(params);
+    await chat.sendStateRecording();
+    return { chatId: chat.id._serialized, state: 'recording' };
+  }
+
+  async function clearState(params) {
+    const chat = await chatOf(params);
+    await chat.clearState();
+    return { chatId: chat.id._serialized, state: 'paused' };
+  }
+
+  async function setPresence({ accountId, label, online }) {
+    const client = await getReadyClient({ accountId, label });
+    if (online) await client.sendPresenceAvailable();
+    else await client.sendPresenceUnavailable();
+    return { online: !!online };
+  }
+
+  return { sendStateTyping, sendStateRecording, clearState, setPresence };
+}
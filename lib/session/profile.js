@@ -0,0 +1,64 @@
+// Own-profile feature (pure logic). Injects a ready-client getter + the registry.
+// Display name, about text and picture of the session's own number. Every read or change is
+// mirrored to the registry doc (/accounts/{aid}/sessions/{label}.profile) next to waId.
+// Note: pictureUrl is a signed WhatsApp CDN link and expires; re-read the profile for a fresh one.
+import { toMessageMedia } from './media.js';
+
+export function makeProfile({ getReadyClient, registry }) {
+  const selfIdOf = (client) => client?.info?.wid?._serialized || client?.info?.me?._serialized || null;
+
+  async function read(client, overrides = {}) {
+    const waId = selfIdOf(client);
+    if (!waId) throw new Error('own waId unknown');
+
+    let about = null;
+    try { about = (await (await client.getContactById(waId)).getAbout()) ?? null; } catch {}
+    let pictureUrl = null;
+    try { pictureUrl = (await client.getProfilePicUrl(waId)) || null; } catch {}
+
+    return {
+      waId,
+      displayName: client?.info?.pushname || null,
+      about,
+      pictureUrl,
+      ...overrides,
+    };
+  }
+
+  async function mirror({ accountId, label }, profile) {
+    const { waId, ...rest } = profile;
+    await registry.setProfile(accountId, label, { ...rest, syncedAt: new Date() });
+    return profile;
+  }
+
+  async function getProfile({ accountId, label }) {
+    const client = await getReadyClient({ accountId, label });
+    return mirror({ accountId, label }, await read(client));
+  }
+
+  async function setDisplayName({ accountId, label, displayName }) {
+    const name = String(displayName || '').trim();
+    if (!name) throw new Error('invalid displayName');
+    const client = await getReadyClient({ accountId, label });
+    const ok = await client.setDisplayName(name);
+    if (!ok) throw new Error('cannot change display name right now');
+    if (client.info) client.info.pushname = name; // info is a snapshot from 'ready'
+    return mirror({ accountId, label }, await read(client, { displayName: name }));
+  }
+
+  async function setAbout({ accountId, label, about }) {
+    const client = await getReadyClient({ accountId, label });
+    await client.setStatus(String(about ?? ''));
+    return mirror({ accountId, label }, await read(client, { about: String(about ?? '') }));
+  }
+
+  // media: the usual media payload; null removes the picture.
+  async function setPicture({ accountId, label, media = null }) {
+    const client = await getReadyClient({ accountId, label });
+    const ok = media ? await client.setProfilePicture(await toMessageMedia(media)) : await client.deleteProfilePicture();
+    if (!ok) throw new Error(`cannot ${media ? 'change' : 'remove'} profile picture`);
+    return mirror({ accountId, label }, await read(client));
+  }
+
+  return { getProfile, setDisplayName, setAbout, setPicture };
+}
@@ -0,0 +1,123 @@
+// Reconnect supervisor: re-initializes dropped clients with exponential backoff + jitter.
+// Emits 'reconnecting' / 'reconnect_failed' and mirrors attempt history into the registry.
+
+// auth_failure reasons that a plain re-init cannot fix (the phone must rescan the QR).
+const UNRECOVERABLE_AUTH = /logout|unpaired|banned|conflict/i;
+
+export function isRecoverableAuthFailure(err) {
+  return !UNRECOVERABLE_AUTH.test(String(err?.message || err || ''));
+}
+
+// 'disconnected' reasons after which the login is gone (WAState LOGOUT / UNPAIRED / UNPAIRED_IDLE).
+const UNRECOVERABLE_DISCONNECT = /logout|unpaired/i;
+
+export function isRecoverableDisconnect(reason) {
+  return !UNRECOVERABLE_DISCONNECT.test(String(reason || ''));
+}
+
+export function makeReconnectSupervisor({ restart, emit, setStatus, registry, config = {} }) {
+  const {
+    baseDelayMs = 5_000,
+    maxDelayMs = 5 * 60_000,
+    factor = 2,
+    jitter = 0.3,
+    maxAttempts = 8,
+    historySize = 10,
+  } = config;
+
+  const entries = new Map(); // key -> { attempt, timer, nextAt, history[] }
+  const keyOf = ({ accountId, label }) => `${accountId}::${label}`;
+
+  function delayFor(attempt) {
+    const raw = Math.min(maxDelayMs, baseDelayMs * Math.pow(factor, attempt - 1));
+    const spread = raw * jitter;
+    return Math.max(0, Math.round(raw - spread + Math.random() * spread * 2));
+  }
+
+  function persist(meta, entry, status) {
+    registry.setReconnect(meta.accountId, meta.label, {
+      status,
+      attempt: entry.attempt,
+      maxAttempts,
+      nextAt: entry.nextAt ? new Date(entry.nextAt) : null,
+      history: entry.history,
+    }).catch((e) => console.error('[reconnect] registry write failed', e));
+  }
+
+  function record(entry, item) {
+    entry.history.push(item);
+    if (entry.history.length > historySize) entry.history.splice(0, entry.history.length - historySize);
+  }
+
+  // Called on every failure signal; repeated failures while a retry is pending are coalesced.
+  // waitingStatus is the session status until the retry fires (the watchdog keeps 'degraded').
+  function schedule(meta, reason, { waitingStatus = 'reconnecting' } = {}) {
+    const key = keyOf(meta);
+    const entry = entries.get(key) || { attempt: 0, timer: null, nextAt: null, history: [] };
+    entries.set(key, entry);
+    if (entry.timer) return;
+
+    if (entry.attempt >= maxAttempts) {
+      record(entry, { at: new Date(), attempt: entry.attempt, reason: String(reason), outcome: 'gave_up' });
+      entry.nextAt = null;
+      entries.delete(key); // a later manual init starts a fresh streak
+      setStatus(meta, 'reconnect_failed');
+      persist(meta, entry, 'reconnect_failed');
+      emit(meta, 'reconnect_failed', { attempts: entry.attempt, reason: String(reason) });
+      return;
+    }
+
+    entry.attempt += 1;
+    const delayMs = delayFor(entry.attempt);
+    entry.nextAt = Date.now() + delayMs;
+    record(entry, { at: new Date(), attempt: entry.attempt, reason: String(reason), delayMs });
+
+    setStatus(meta, waitingStatus);
+    persist(meta, entry, 'reconnecting');
+    emit(meta, 'reconnecting', { attempt: entry.attempt, maxAttempts, delayMs, reason: String(reason) });
+
+    entry.timer = setTimeout(async () => {
+      entry.timer = null;
+      entry.nextAt = null;
+      if (waitingStatus !== 'reconnecting') setStatus(meta, 'reconnecting');
+      try {
+        await restart(meta);
+      } catch (e) {
+        schedule(meta, `restart failed: ${String(e?.message || e)}`);
+      }
+    }, delayMs);
+  }
+
+  // Client reached 'ready' again: close out the streak.
+  function succeeded(meta) {
+    const key = keyOf(meta);
+    const entry = entries.get(key);
+    if (!entry) return;
+    if (entry.timer) clearTimeout(entry.timer);
+    entries.delete(key);
+    record(entry, { at: new Date(), attempt: entry.attempt, outcome: 'recovered' });
+    entry.nextAt = null;
+    persist(meta, entry, 'recovered');
+  }
+
+  // Manual stop/destroy: forget any pending retry.
+  function cancel(meta) {
+    const key = keyOf(meta);
+    const entry = entries.get(key);
+    if (entry?.timer) clearTimeout(entry.timer);
+    entries.delete(key);
+  }
+
+  function cancelAll() {
+    for (const entry of entries.values()) if (entry.timer) clearTimeout(entry.timer);
+    entries.clear();
+  }
+
+  function info(meta) {
+    const entry = entries.get(keyOf(meta));
+    if (!entry) return null;
+    return { attempt: entry.attempt, maxAttempts, nextAt: entry.nextAt };
+  }
+
+  return { schedule, succeeded, cancel, cancelAll, info };
+}
@@ -0,0 +1,74 @@
+// Startup scheduler: caps how many clients launch Chromium at the same time.
+// A slot is held from launch until the client settles (ready / qr / failure) or the slot times out.
+
+// Lower runs first; ties keep FIFO order.
+export const STARTUP_PRIORITY = { admin: 0, wake: 1, reconnect: 2, normal: 3, restore: 4 };
+
+export function makeStartupQueue({ launch, maxConcurrent = 2, slotTimeoutMs = 120_000 }) {
+  const queue = [];          // { key, meta, priority, seq, enqueuedAt }
+  const active = new Map();  // key -> slot timeout
+  let seq = 0;
+
+  const rank = (p) => STARTUP_PRIORITY[p] ?? STARTUP_PRIORITY.normal;
+  const sort = () => queue.sort((a, b) => a.priority - b.priority || a.seq - b.seq);
+
+  function pump() {
+    while (active.size < maxConcurrent && queue.length) {
+      const job = queue.shift();
+      active.set(job.key, setTimeout(() => release(job.key), slotTimeoutMs));
+      try {
+        launch(job.meta);
+      } catch (e) {
+        console.error('[startupQueue] launch failed', job.key, e);
+        release(job.key);
+      }
+    }
+  }
+
+  // Re-enqueueing a waiting key only ever raises its priority.
+  function enqueue(key, meta, priority = 'normal') {
+    if (active.has(key)) return;
+    const existing = queue.find((q) => q.key === key);
+    if (existing) {
+      existing.priority = Math.min(existing.priority, rank(priority));
+    } else {
+      queue.push({ key, meta, priority: rank(priority), seq: seq++, enqueuedAt: Date.now() });
+    }
+    sort();
+    pump();
+  }
+
+  function release(key) {
+    if (!active.has(key)) return;
+    clearTimeout(active.get(key));
+    active.delete(key);
+    pump();
+  }
+
+  function cancel(key) {
+    const idx = queue.findIndex((q) => q.key === key);
+    if (idx >= 0) queue.splice(idx, 1);
+    release(key);
+  }
+
+  // Drop everything waiting and forget active slots (shutdown).
+  function clear() {
+    queue.length = 0;
+    for (const t of active.values()) clearTimeout(t);
+    active.clear();
+  }
+
+  const isQueued = (key) => queue.some((q) => q.key === key);
+  const queuedKeys = () => queue.map((q) => q.key);
+
+  function position(key) {
+    const idx = queue.findIndex((q) => q.key === key);
+    return idx < 0 ? null : idx + 1;
+  }
+
+  function stats() {
+    return { maxConcurrent, starting: active.size, queued: queue.length };
+  }
+
+  return { enqueue, release, cancel, clear, isQueued, queuedKeys, position, stats };
+}
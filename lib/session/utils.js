@@ -34,3 +34,30 @@ export function buildRawNumber(input, countryCode) {
   }
   return digits;
 }
+
+/**
+ * Await a call that hands a message to the page (sendMessage, forward). Whatever it throws may
+ * come after WhatsApp already sent the message, so the error is tagged `dispatched`; queues must
+ * not retry those blindly.
+ */
+export async function dispatched(promise) {
+  try {
+    return await promise;
+  } catch (e) {
+    const err = e instanceof Error ? e : new Error(String(e));
+    err.dispatched = true;
+    throw err;
+  }
+}
+
+/**
+ * Race a promise against a timer; rejects with "<what> timed out after <ms>ms".
+ * The timer is cleared either way so it never keeps the process alive.
+ */
+export function withTimeout(promise, ms, what = 'operation') {
+  let timer = null;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
@@ -0,0 +1,57 @@
+// Zombie-session watchdog: periodically probes 'ready' clients and reports the ones that stopped answering.
+// Probes: puppeteer page still open, getState() === CONNECTED, and a timed evaluate inside WhatsApp Web.
+import { withTimeout } from './utils.js';
+
+async function probe(client, timeoutMs) {
+  const page = client?.pupPage;
+  if (!page || page.isClosed()) throw new Error('page closed');
+
+  const state = await withTimeout(client.getState(), timeoutMs, 'getState');
+  if (state !== 'CONNECTED') throw new Error(`state=${state}`);
+
+  const loaded = await withTimeout(page.evaluate(() => !!window.Store), timeoutMs, 'evaluate');
+  if (!loaded) throw new Error('WhatsApp Web store missing');
+}
+
+export function makeWatchdog({ listReady, onUnhealthy, config = {} }) {
+  const { intervalMs = 60_000, probeTimeoutMs = 15_000, failThreshold = 2 } = config;
+
+  const failures = new Map(); // key -> consecutive failures
+  const last = new Map();     // key -> { at, ok, latencyMs, reason }
+  let running = false;
+  let timer = null;
+
+  async function sweep() {
+    if (running) return; // never overlap a slow sweep
+    running = true;
+    try {
+      for (const { key, meta, client } of listReady()) {
+        const startedAt = Date.now();
+        try {
+          await probe(client, probeTimeoutMs);
+          failures.delete(key);
+          last.set(key, { at: startedAt, ok: true, latencyMs: Date.now() - startedAt, reason: null });
+        } catch (e) {
+          const reason = String(e?.message || e);
+          const n = (failures.get(key) || 0) + 1;
+          last.set(key, { at: startedAt, ok: false, latencyMs: Date.now() - startedAt, reason });
+          if (n < failThreshold) { failures.set(key, n); continue; }
+          failures.delete(key);
+          try { onUnhealthy(meta, reason); } catch (err) { console.error('[watchdog] onUnhealthy failed', key, err); }
+        }
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (!timer && intervalMs > 0) timer = setInterval(() => { sweep().catch(() => {}); }, intervalMs);
+  }
+  function stop() { if (timer) clearInterval(timer); timer = null; }
+
+  function forget(key) { failures.delete(key); last.delete(key); }
+  function info(key) { return last.get(key) || null; }
+
+  return { start, stop, sweep, forget, info };
+}
@@ -1,21 +1,44 @@
 // lib/sessionManager.js
-// Multi-account, multi-label WA session manager using LocalAuth.
-// Emits events: { type, ts, accountId, label (sessionId), waId?, ... }
+// Multi-account, multi-label WA session manager using LocalAuth,
+// or RemoteAuth when a portable auth store is configured (see authStore.js).
+// Emits events: { type, ts, seq, accountId, label (sessionId), waId?, ... }
+// seq is monotonic per account, also across restarts (never below Date.now() * 1000).
+// Types: qr, ready, disconnected, auth_failure, error, message, sent, plus the forwarded
+// client events in session/events.js (ack, revoked, edited, reaction, group_*, call, state, ...).
 // Includes sendText/sendMedia, media download, and contacts/chats helpers.
+// Dropped clients are re-initialized by a backoff supervisor (see session/reconnect.js).
+// Idle clients can hibernate (browser destroyed, auth kept) and wake on the next request.
+// Launches go through a concurrency-limited startup queue (see session/startupQueue.js).
+// A watchdog probes ready clients and restarts zombies (see session/watchdog.js).
+// drain() + shutdown() let the process exit without abandoning sends or logging clients out.
 
 import { EventEmitter } from 'events';
 import fs from 'fs';
 import path from 'path';
 import wwebjs from 'whatsapp-web.js';
 
-import { sleep, rand, normalizeChatId } from './session/utils.js';
+import { sleep, rand, normalizeChatId, withTimeout, dispatched } from './session/utils.js';
 import { makeContacts } from './session/contacts.js';
 import { makeChats } from './session/chats.js';
+import { makeMessages } from './session/messages.js';
+import { makeGroups } from './session/groups.js';
+import { makePresence } from './session/presence.js';
+import { makeProfile } from './session/profile.js';
+import { toMessageMedia } from './session/media.js';
+import { makeReconnectSupervisor, isRecoverableAuthFailure, isRecoverableDisconnect } from './session/reconnect.js';
+import { makeStartupQueue } from './session/startupQueue.js';
+import { makeWatchdog } from './session/watchdog.js';
+import { forwardClientEvents } from './session/events.js';
 
 
-const { Client, LocalAuth, MessageMedia } = wwebjs;
+const { Client, LocalAuth, RemoteAuth } = wwebjs;
 
-export function createSessionManager({ dataPath = './.wwebjs_auth', registry }) {
+// On-disk profile dir prefixes: LocalAuth → session-{clientId}, RemoteAuth → RemoteAuth-{clientId}
+const DIR_PREFIXES = ['session-', 'RemoteAuth-'];
+// Client states nothing will recover from on its own; init() replaces such a client.
+const GIVEN_UP = new Set(['reconnect_failed', 'disconnected', 'auth_failure']);
+
+export function createSessionManager({ dataPath = './.wwebjs_auth', registry, authStore = null, config = {} }) {
   const DATA_PATH = path.resolve(dataPath);
   if (!fs.existsSync(DATA_PATH)) fs.mkdirSync(DATA_PATH, { recursive: true });
 
@@ -24,6 +47,14 @@ export function createSessionManager({ dataPath = './.wwebjs_auth', registry })
   const states  = new Map();                     // key -> status
   const qrs     = new Map();                     // key -> qr
   const selfIds = new Map();                     // key -> waId
+  const lastActivity = new Map();                // key -> ms of last traffic
+  const hibernated = new Set();                  // keys whose browser was put to sleep
+  const waking = new Map();                      // key -> Promise (wake in progress)
+  const inflight = new Set();                    // running send promises (for drain)
+  const timers = [];                             // intervals cleared on shutdown
+  let draining = false;
+
+  const HIBERNATE = { idleMs: 0, sweepMs: 60_000, wakeTimeoutMs: 90_000, ...(config.hibernate || {}) };
 
   // Lightweight message cache for media retrieval (hasMedia only)
   // key: `${accountId}::${label}::${messageId}` -> { msgRef, expiresAt }
@@ -34,18 +65,30 @@ export function createSessionManager({ dataPath = './.wwebjs_auth', registry })
   const keyOf = ({ accountId, label }) => `${accountId}::${label}`;
   const msgKeyOf = ({ accountId, label, messageId }) => `${accountId}::${label}::${messageId}`;
 
+  const clientIdOf = (meta) => `${meta.accountId}__${meta.label}`;
+
   function parseClientIdFromDir(dirName) {
-    if (!dirName?.startsWith('session-')) return null;
-    const id = dirName.slice('session-'.length);
+    const prefix = DIR_PREFIXES.find((p) => dirName?.startsWith(p));
+    if (!prefix) return null;
+    const id = dirName.slice(prefix.length);
     const idx = id.indexOf('__');
     if (idx <= 0) return null;
     return { accountId: id.slice(0, idx), label: id.slice(idx + 2) };
   }
 
+  const seqs = new Map(); // accountId -> last seq handed out
+
+  function nextSeq(accountId) {
+    const seq = Math.max((seqs.get(accountId) || 0) + 1, Date.now() * 1000);
+    seqs.set(accountId, seq);
+    return seq;
+  }
+
   function emit(meta, type, extra = {}) {
     const evt = {
       type,
       ts: Date.now(),
+      seq: nextSeq(meta.accountId),
       accountId: meta.accountId,
       sessionId: meta.label,
       waId: selfIds.get(keyOf(meta)) || null,
@@ -54,6 +97,64 @@ export function createSessionManager({ dataPath = './.wwebjs_auth', registry })
     ev.emit('evt', evt);
   }
 
+  const touch = (meta) => lastActivity.set(keyOf(meta), Date.now());
+
+  function setStatus(meta, status) {
+    states.set(keyOf(meta), status);
+    registry.setStatus(meta.accountId, meta.label, status);
+  }
+
+  // Tear down the current client (no logout) and start a fresh one with the same auth.
+  async function restart(meta, { priority = 'reconnect' } = {}) {
+    const key = keyOf(meta);
+    const old = clients.get(key);
+    clients.delete(key);
+    startup.release(key); // the old client's slot, if it never settled (its own events are stale now)
+    if (old) {
+      // a hung browser (what the watchdog catches) may never finish destroy(): kill it and move on
+      try {
+        await withTimeout(old.destroy(), config.reconnect?.destroyTimeoutMs ?? 30_000, 'destroy');
+      } catch (e) {
+        if (/timed out/.test(String(e?.message))) {
+          console.warn('[restart] destroy timed out; killing the browser', key);
+          try { old.pupBrowser?.process()?.kill('SIGKILL'); } catch {}
+        }
+      }
+    }
+    init(meta, { priority });
+  }
+
+  const supervisor = makeReconnectSupervisor({
+    restart,
+    emit,
+    setStatus,
+    registry,
+    config: config.reconnect,
+  });
+
+  const startup = makeStartupQueue({
+    launch,
+    maxConcurrent: config.startup?.maxConcurrent,
+    slotTimeoutMs: config.startup?.slotTimeoutMs,
+  });
+
+  const watchdog = makeWatchdog({
+    listReady: () => Array.from(clients.entries())
+      .filter(([key]) => states.get(key) === 'ready')
+      .map(([key, client]) => {
+        const [accountId, label] = key.split('::');
+        return { key, meta: { accountId, label }, client };
+      }),
+    onUnhealthy: (meta, reason) => {
+      if (states.get(keyOf(meta)) !== 'ready') return; // changed while probing
+      setStatus(meta, 'degraded');
+      emit(meta, 'degraded', { reason });
+      supervisor.schedule(meta, `watchdog: ${reason}`, { waitingStatus: 'degraded' });
+    },
+    config: config.watchdog,
+  });
+  watchdog.start();
+
   function rememberIfMedia(meta, msg) {
     try {
       if (!msg?.hasMedia) return;
@@ -65,18 +166,27 @@ export function createSessionManager({ dataPath = './.wwebjs_auth', registry })
   }
 
   // periodic cleanup
-  setInterval(() => {
+  timers.push(setInterval(() => {
     const now = Date.now();
     for (const [k, v] of mediaMsgCache.entries()) {
       if (!v || v.expiresAt <= now) mediaMsgCache.delete(k);
     }
-  }, 60 * 1000);
+  }, 60 * 1000));
 
   function bind(meta, client) {
     const key = keyOf(meta);
     states.set(key, 'starting');
     registry.setStatus(meta.accountId, meta.label, 'starting');
 
+    // Events from a client we already replaced (restart) must not touch state.
+    const isCurrent = () => clients.get(key) === client;
+
+    // Free the startup slot once the client has settled one way or the other. Slots are keyed by
+    // session, so a replaced client must not release the slot its successor now holds.
+    for (const evName of ['qr', 'ready', 'auth_failure', 'disconnected', 'error']) {
+      client.once(evName, () => { if (isCurrent()) startup.release(key); });
+    }
+
     client.on('qr', (qr) => {
       states.set(key, 'scanning');
       qrs.set(key, qr);
@@ -84,6 +194,8 @@ export function createSessionManager({ dataPath = './.wwebjs_auth', registry })
     });
 
     client.on('ready', async () => {
+      if (!isCurrent()) return;
+      touch(meta);
       const id =
         client?.info?.wid?._serialized ||
         client?.info?.me?._serialized ||
@@ -92,31 +204,44 @@ export function createSessionManager({ dataPath = './.wwebjs_auth', registry })
         selfIds.set(key, id);
         await registry.setReady(meta.accountId, meta.label, id);
       }
+      if (!isCurrent()) return; // replaced or stopped while the registry write was in flight
       states.set(key, 'ready');
       qrs.delete(key);
+      supervisor.succeeded(meta);
       emit(meta, 'ready', id ? { self: { waId: id, label: meta.label } } : {});
+      profile.getProfile(meta).catch((e) => console.warn('[profile] sync failed', key, e?.message || e));
+      contacts.syncBlocked(meta).catch((e) => console.warn('[blocklist] sync failed', key, e?.message || e));
     });
 
     client.on('disconnected', (reason) => {
+      if (!isCurrent()) return;
       states.set(key, 'disconnected');
       registry.setStatus(meta.accountId, meta.label, 'disconnected');
-      emit(meta, 'disconnected', { reason });
+      const recoverable = isRecoverableDisconnect(reason);
+      emit(meta, 'disconnected', { reason, recoverable });
+      // logged out / unpaired from the phone: a re-init would only show a new QR
+      if (recoverable) supervisor.schedule(meta, `disconnected: ${reason}`);
     });
 
     client.on('auth_failure', (err) => {
+      if (!isCurrent()) return;
       states.set(key, 'auth_failure');
       registry.setStatus(meta.accountId, meta.label, 'auth_failure');
       emit(meta, 'auth_failure', { err: String(err) });
+      if (isRecoverableAuthFailure(err)) supervisor.schedule(meta, `auth_failure: ${String(err)}`);
     });
 
     client.on('error', (err) => {
+      if (!isCurrent()) return;
       states.set(key, 'error');
       registry.setStatus(meta.accountId, meta.label, 'error');
       emit(meta, 'error', { err: String(err?.message || err) });
+      supervisor.schedule(meta, `error: ${String(err?.message || err)}`);
     });
 
     // Passive observation only (no send)
     client.on('message_create', (m) => {
+      touch(meta);
       rememberIfMedia(meta, m);
 
       const id = m?.id?._serialized;
@@ -136,72 +261,209 @@ export function createSessionManager({ dataPath = './.wwebjs_auth', registry })
 
       emit(meta, 'message', { ...base, ...mediaHint });
     });
+
+    // acks, revokes, edits, reactions, groups, calls, state/loading progress
+    forwardClientEvents(client, (type, extra) => {
+      if (isCurrent()) emit(meta, type, extra);
+    });
   }
 
-  function init(meta) {
+  // Queue a client launch. priority: 'admin' | 'wake' | 'reconnect' | 'normal' | 'restore'
+  function init(meta, { priority = 'normal' } = {}) {
+    if (draining) return null;
     const key = keyOf(meta);
-    if (clients.has(key)) return clients.get(key);
+    if (clients.has(key)) {
+      if (!GIVEN_UP.has(states.get(key))) return clients.get(key);
+      // reconnect gave up (or the phone logged out): a manual init starts over with a fresh browser
+      supervisor.cancel(meta);
+      restart(meta, { priority }).catch((e) => console.error('[init] restart failed', key, e?.message || e));
+      return null;
+    }
+    hibernated.delete(key);
+
+    const wasQueued = startup.isQueued(key);
+    startup.enqueue(key, meta, priority);
+    if (!clients.has(key) && !wasQueued) {
+      setStatus(meta, 'queued');
+      emit(meta, 'queued', { position: startup.position(key) });
+    }
+    return clients.get(key) || null;
+  }
+
+  function launch(meta) {
+    const key = keyOf(meta);
+    if (clients.has(key)) return;
 
     const pArgs = ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'];
     // If CHROME_PATH is provided we use it; else Puppeteer Chromium.
     // This keeps your systemd deployment flexible.
     // eslint-disable-next-line no-unused-labels
     const executablePath = process.env.CHROME_PATH || undefined;
-    const client = new Client({
-      authStrategy: new LocalAuth({
-        clientId: `${meta.accountId}__${meta.label}`,
+    const authStrategy = authStore
+      ? new RemoteAuth({
+        clientId: clientIdOf(meta),
         dataPath: DATA_PATH,
-      }),
+        store: authStore,
+        backupSyncIntervalMs: config.auth?.backupSyncIntervalMs || 5 * 60_000,
+      })
+      : new LocalAuth({
+        clientId: clientIdOf(meta),
+        dataPath: DATA_PATH,
+      });
+    const client = new Client({
+      authStrategy,
       puppeteer: {
         args: pArgs,
         executablePath,
       },
     });
-    bind(meta, client);
     clients.set(key, client);
-    client.initialize();
-    return client;
+    bind(meta, client);
+    client.initialize().catch((err) => client.emit('error', err));
   }
 
   async function stop(meta) {
     const key = keyOf(meta);
+    supervisor.cancel(meta);
+    const wasQueued = startup.isQueued(key);
+    startup.cancel(key);
     const c = clients.get(key);
-    if (!c) return;
+    if (!c) {
+      if (hibernated.delete(key) || wasQueued) {
+        // hibernate() already pushed the archive; only the local copy is left to drop
+        if (authStore) fs.rmSync(path.join(DATA_PATH, `RemoteAuth-${clientIdOf(meta)}`), { recursive: true, force: true });
+        setStatus(meta, 'stopped');
+        emit(meta, 'stopped');
+      }
+      return;
+    }
+    clients.delete(key); // before destroy(), so teardown events are treated as stale
     try {
-      await c.destroy();
+      if (authStore) {
+        // Push a final archive so another server can pick the login up, then drop the
+        // local profile so this host's restoreAllFromFs() doesn't start it again.
+        if (states.get(key) === 'ready') {
+          try { await c.authStrategy.storeRemoteSession(); } catch (e) { console.error('[stop] remote session save failed', e); }
+        }
+        await c.destroy();
+        fs.rmSync(path.join(DATA_PATH, `RemoteAuth-${clientIdOf(meta)}`), { recursive: true, force: true });
+      } else {
+        await c.destroy();
+      }
     } finally {
-      clients.delete(key);
+      states.set(key, 'stopped');
+      registry.setStatus(meta.accountId, meta.label, 'stopped');
+      emit(meta, 'stopped');
     }
-    states.set(key, 'stopped');
-    registry.setStatus(meta.accountId, meta.label, 'stopped');
-    emit(meta, 'stopped');
   }
 
   async function destroy(meta) {
     const key = keyOf(meta);
+    supervisor.cancel(meta);
+    startup.cancel(key);
     const c = clients.get(key);
     if (c) {
+      clients.delete(key);
       try { await c.logout().catch(() => {}); } catch {}
       try { await c.destroy(); } catch {}
-      clients.delete(key);
     }
-    try {
-      const dir = path.join(DATA_PATH, `session-${meta.accountId}__${meta.label}`);
-      fs.rmSync(dir, { recursive: true, force: true });
-    } catch {}
+    for (const prefix of DIR_PREFIXES) {
+      try {
+        fs.rmSync(path.join(DATA_PATH, `${prefix}${clientIdOf(meta)}`), { recursive: true, force: true });
+      } catch {}
+    }
+    if (authStore) {
+      try { await authStore.delete({ session: `RemoteAuth-${clientIdOf(meta)}` }); } catch {}
+    }
     states.delete(key);
     qrs.delete(key);
     selfIds.delete(key);
+    hibernated.delete(key);
+    lastActivity.delete(key);
+    watchdog.forget(key);
     await registry.remove(meta.accountId, meta.label);
     emit(meta, 'destroyed');
   }
 
   function status(meta) { return states.get(keyOf(meta)) || null; }
   function qr(meta)     { return qrs.get(keyOf(meta)) || null; }
+  function health(meta) { return watchdog.info(keyOf(meta)); }
+
+  // ---------- Hibernation ----------
+  // Destroy the browser but keep auth on disk (and in the remote store, if any).
+  async function hibernate(meta) {
+    const key = keyOf(meta);
+    const c = clients.get(key);
+    if (!c || states.get(key) !== 'ready') return false;
+
+    supervisor.cancel(meta);
+    clients.delete(key);
+    if (authStore) {
+      try { await c.authStrategy.storeRemoteSession(); } catch (e) { console.error('[hibernate] remote session save failed', e); }
+    }
+    try { await c.destroy(); } catch {}
+
+    hibernated.add(key);
+    setStatus(meta, 'hibernated');
+    emit(meta, 'hibernated', { idleMs: Date.now() - (lastActivity.get(key) || Date.now()) });
+    return true;
+  }
+
+  function waitForReady(meta, timeoutMs) {
+    const key = keyOf(meta);
+    if (states.get(key) === 'ready') return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      const onEvt = (evt) => {
+        if (evt.accountId !== meta.accountId || evt.sessionId !== meta.label) return;
+        if (evt.type === 'ready') { done(); resolve(); }
+        else if (['qr', 'auth_failure', 'reconnect_failed', 'stopped', 'destroyed'].includes(evt.type)) {
+          done();
+          reject(new Error(`wake failed (${evt.type})`));
+        }
+      };
+      const timer = setTimeout(() => {
+        done();
+        reject(new Error(`wake timed out (status=${states.get(key)})`));
+      }, timeoutMs);
+      const done = () => { clearTimeout(timer); ev.off('evt', onEvt); };
+      ev.on('evt', onEvt);
+    });
+  }
+
+  // Bring a hibernated session back; concurrent callers share one wake.
+  function wake(meta) {
+    const key = keyOf(meta);
+    if (waking.has(key)) return waking.get(key);
+    if (!hibernated.has(key)) return Promise.resolve();
+
+    emit(meta, 'waking');
+    init(meta, { priority: 'wake' });
+    const p = waitForReady(meta, HIBERNATE.wakeTimeoutMs).finally(() => waking.delete(key));
+    waking.set(key, p);
+    return p;
+  }
+
+  // For routes that gate on status: wakes a hibernated session first, then reports status.
+  async function ensureAwake(meta) {
+    try { await wake(meta); } catch {}
+    return status(meta);
+  }
+
+  if (HIBERNATE.idleMs > 0) {
+    timers.push(setInterval(() => {
+      const now = Date.now();
+      for (const key of clients.keys()) {
+        if (states.get(key) !== 'ready') continue;
+        if (now - (lastActivity.get(key) || now) < HIBERNATE.idleMs) continue;
+        const [accountId, label] = key.split('::');
+        hibernate({ accountId, label }).catch((e) => console.error('[hibernate] failed', key, e));
+      }
+    }, HIBERNATE.sweepMs));
+  }
 
   function listRunning(accountId) {
     const out = [];
-    for (const [key] of clients.entries()) {
+    for (const key of new Set([...clients.keys(), ...hibernated, ...startup.queuedKeys()])) {
       const [aid, label] = key.split('::');
       if (accountId && aid !== accountId) continue;
       out.push({
@@ -210,22 +472,48 @@ export function createSessionManager({ dataPath = './.wwebjs_auth', registry })
         status: states.get(key) || null,
         waId: selfIds.get(key) || null,
         hasQr: qrs.has(key),
+        reconnect: supervisor.info({ accountId: aid, label }),
+        queuePosition: startup.position(key),
       });
     }
     out.sort((a, b) => a.label.localeCompare(b.label));
     return out;
   }
 
-  async function restoreAllFromFs() {
+  // Local profile dirs, plus (with a remote auth store) archives this host has never seen.
+  // Store-only sessions start only on the host that owns their account (ownsAccount(accountId),
+  // e.g. wsServer.instance matches this VM) — the store is shared, and a login running elsewhere
+  // must not be opened twice. Without ownsAccount they wait for an explicit /sessions/init.
+  // Those whose registry status is 'stopped' were parked on purpose and stay down.
+  async function restoreAllFromFs({ ownsAccount = null } = {}) {
     try {
       const items = fs.readdirSync(DATA_PATH, { withFileTypes: true });
-      let count = 0;
+      const found = new Map(); // key -> meta
       for (const d of items) {
         if (!d.isDirectory()) continue;
         const meta = parseClientIdFromDir(d.name);
-        if (!meta) continue;
-        if (!clients.has(keyOf(meta))) {
-          init(meta);
+        if (meta) found.set(keyOf(meta), meta);
+      }
+
+      if (authStore && ownsAccount) {
+        const owned = new Map(); // accountId -> Promise<boolean>
+        let names = [];
+        try { names = await authStore.list(); } catch (e) { console.error('[restore] auth store list failed', e); }
+        for (const name of names) {
+          const meta = parseClientIdFromDir(name);
+          if (!meta || found.has(keyOf(meta))) continue;
+          if (!owned.has(meta.accountId)) owned.set(meta.accountId, Promise.resolve(ownsAccount(meta.accountId)).catch(() => false));
+          if (!(await owned.get(meta.accountId))) continue;
+          const st = await registry.getStatus(meta.accountId, meta.label).catch(() => null);
+          if (st === 'stopped') continue;
+          found.set(keyOf(meta), meta);
+        }
+      }
+
+      let count = 0;
+      for (const [key, meta] of found) {
+        if (!clients.has(key)) {
+          init(meta, { priority: 'restore' });
           count++;
         }
       }
@@ -238,7 +526,10 @@ export function createSessionManager({ dataPath = './.wwebjs_auth', registry })
 
   // ---------- Sending ----------
   async function getReadyClient(meta) {
+    if (draining) throw new Error('server shutting down');
     const k = keyOf(meta);
+    if (hibernated.has(k) || waking.has(k)) await wake(meta);
+    touch(meta);
     const c = clients.get(k);
     if (!c) throw new Error('client not initialized');
     const st = states.get(k);
@@ -251,7 +542,7 @@ export function createSessionManager({ dataPath = './.wwebjs_auth', registry })
     const chatId = normalizeChatId(to);
     if (!chatId) throw new Error('invalid "to"');
 
-    const msg = await client.sendMessage(chatId, String(text), options);
+    const msg = await dispatched(client.sendMessage(chatId, String(text), options));
     emit({ accountId, label }, 'sent', {
       id: msg?.id?._serialized,
       chatId,
@@ -268,18 +559,8 @@ export function createSessionManager({ dataPath = './.wwebjs_auth', registry })
     const chatId = normalizeChatId(to);
     if (!chatId) throw new Error('invalid "to"');
 
-    let mm = null;
-    if (media?.data && media?.mimetype) {
-      mm = new MessageMedia(String(media.mimetype), String(media.data), media?.filename || null, media?.filesize || null);
-    } else if (media?.url) {
-      mm = await MessageMedia.fromUrl(String(media.url));
-    } else if (media?.localPath) {
-      mm = MessageMedia.fromFilePath(String(media.localPath));
-    } else {
-      throw new Error('invalid media payload');
-    }
-
-    const msg = await client.sendMessage(chatId, mm, options);
+    const mm = await toMessageMedia(media);
+    const msg = await dispatched(client.sendMessage(chatId, mm, options));
     emit({ accountId, label }, 'sent', {
       id: msg?.id?._serialized,
       chatId,
@@ -291,19 +572,67 @@ export function createSessionManager({ dataPath = './.wwebjs_auth', registry })
     return msg;
   }
 
+  // Fast path: messages seen in the last MEDIA_CACHE_TTL_MS; otherwise look it up live.
   async function downloadMessageMedia({ accountId, label, messageId }) {
     const k = msgKeyOf({ accountId, label, messageId });
-    const entry = mediaMsgCache.get(k);
-    if (!entry?.msgRef) return null;
+    let msgRef = mediaMsgCache.get(k)?.msgRef || null;
+    if (!msgRef) {
+      msgRef = await messages.findMessage({ accountId, label, messageId }).then((x) => x.msg, () => null);
+      if (!msgRef?.hasMedia) return null;
+    }
 
-    const m = await entry.msgRef.downloadMedia();
+    const m = await msgRef.downloadMedia();
     if (!m?.data) return null;
     return { mimetype: m.mimetype || 'application/octet-stream', filename: m.filename || null, dataB64: m.data };
   }
 
-  // ---------- Feature facades (contacts/chats) ----------
-  const contacts = makeContacts({ getReadyClient });
-  const chats    = makeChats({ getReadyClient });
+  // ---------- Shutdown ----------
+  function track(promise) {
+    inflight.add(promise);
+    promise.finally(() => inflight.delete(promise)).catch(() => {});
+    return promise;
+  }
+  const tracked = (fn) => (...args) => track(fn(...args));
+
+  // Refuse new work and wait (bounded) for running sends to settle.
+  async function drain({ timeoutMs = 10_000 } = {}) {
+    draining = true;
+    if (!inflight.size) return { pending: 0 };
+    try {
+      await withTimeout(Promise.allSettled(Array.from(inflight)), timeoutMs, 'drain');
+    } catch {}
+    return { pending: inflight.size };
+  }
+
+  // Close every browser without logging out, so the next boot restores the same logins.
+  async function shutdown() {
+    draining = true;
+    for (const t of timers) clearInterval(t);
+    watchdog.stop();
+    supervisor.cancelAll();
+    startup.clear();
+
+    const writes = [];
+    await Promise.allSettled(Array.from(clients.entries()).map(async ([key, c]) => {
+      const [accountId, label] = key.split('::');
+      clients.delete(key);
+      if (authStore && states.get(key) === 'ready') {
+        try { await c.authStrategy.storeRemoteSession(); } catch (e) { console.error('[shutdown] remote session save failed', key, e); }
+      }
+      try { await c.destroy(); } catch (e) { console.error('[shutdown] destroy failed', key, e); }
+      states.set(key, 'stopped');
+      writes.push(registry.setStatus(accountId, label, 'stopped'));
+    }));
+    await Promise.allSettled(writes);
+  }
+
+  // ---------- Feature facades (contacts/chats/messages/groups/presence/profile) ----------
+  const contacts = makeContacts({ getReadyClient, emit, registry });
+  const chats    = makeChats({ getReadyClient, emit });
+  const messages = makeMessages({ getReadyClient, emit });
+  const groups   = makeGroups({ getReadyClient });
+  const presence = makePresence({ getReadyClient });
+  const profile  = makeProfile({ getReadyClient, registry });
 
   // ---------- Enrichment (sequential, moderate jitter) ----------
   // Fills profilePicUrl + about for given contacts, in order, with light random pauses.
@@ -343,15 +672,33 @@ export function createSessionManager({ dataPath = './.wwebjs_auth', registry })
 
   // Public API
   return {
-    init, stop, destroy, status, qr,
+    init, stop, destroy, status, qr, health,
+    hibernate, wake, ensureAwake,
     listRunning, restoreAllFromFs,
+    startupStats: startup.stats,
+    drain, shutdown,
     on: ev.on.bind(ev),
+    publish: emit, // sibling subsystems (send queue, …) emit through the same envelope
     off: ev.off?.bind(ev) || ((...args) => ev.removeListener(...args)),
 
-    sendText,
-    sendMedia,
+    sendText: tracked(sendText),
+    sendMedia: tracked(sendMedia),
     downloadMessageMedia,
 
+    // Rich sends
+    sendReply: tracked(messages.sendReply),
+    sendMentions: tracked(messages.sendMentions),
+    react: tracked(messages.react),
+    sendLocation: tracked(messages.sendLocation),
+    sendContactCard: tracked(messages.sendContactCard),
+    sendPoll: tracked(messages.sendPoll),
+
+    // Message lifecycle (by id)
+    editMessage: tracked(messages.editMessage),
+    revokeMessage: tracked(messages.revokeMessage),
+    forwardMessage: tracked(messages.forwardMessage),
+    starMessage: tracked(messages.starMessage),
+
     // NEW: sequential enrichment
     enrichContactsSequential,
 
@@ -359,10 +706,38 @@ export function createSessionManager({ dataPath = './.wwebjs_auth', registry })
     getContacts: contacts.getContacts,
     lookupContactsByNumbers: contacts.lookupContactsByNumbers,
     checkContactByNumber: contacts.checkContactByNumber,
+    listBlocked: contacts.listBlocked,
+    setBlocked: contacts.setBlocked,
 
     // Chats
     getChats: chats.getChats,
     getChatByNumber: chats.getChatByNumber,
     getChatsByNumbers: chats.getChatsByNumbers,
+    getChatMessages: chats.getChatMessages,
+    chatAction: chats.chatAction,
+
+    // Groups
+    createGroup: groups.createGroup,
+    getGroup: groups.getGroup,
+    updateGroupParticipants: groups.updateParticipants,
+    setGroupSubject: groups.setSubject,
+    setGroupDescription: groups.setDescription,
+    setGroupPicture: groups.setPicture,
+    setGroupSettings: groups.setSettings,
+    getGroupInvite: groups.getInvite,
+    revokeGroupInvite: groups.revokeInvite,
+    joinGroupByInvite: groups.joinByInvite,
+
+    // Presence
+    sendStateTyping: presence.sendStateTyping,
+    sendStateRecording: presence.sendStateRecording,
+    clearState: presence.clearState,
+    setPresence: presence.setPresence,
+
+    // Own profile
+    getProfile: profile.getProfile,
+    setDisplayName: profile.setDisplayName,
+    setAbout: profile.setAbout,
+    setProfilePicture: profile.setPicture,
   };
 }
@@ -1,5 +1,5 @@
 // Firestore session registry: /accounts/{accountId}/sessions/{label}
-// Stores waId + createdAt + lastReadyAt + status (best-effort).
+// Stores waId + own profile + block list + createdAt + lastReadyAt + status (best-effort), plus reconnect history and archive backfill state.
 export function createSessionRegistry({ db }) {
   const acc = (accountId) => db.collection('accounts').doc(accountId);
 
@@ -17,6 +17,39 @@ export function createSessionRegistry({ db }) {
         createdAt: status === 'starting' ? new Date() : undefined
       }, { merge: true });
     },
+    async setReconnect(accountId, label, reconnect) {
+      await acc(accountId).collection('sessions').doc(label).set({
+        reconnect: { ...reconnect, updatedAt: new Date() }
+      }, { merge: true });
+    },
+    async setProfile(accountId, label, profile) {
+      await acc(accountId).collection('sessions').doc(label).set({ profile }, { merge: true });
+    },
+    async setBlocklist(accountId, label, ids) {
+      await acc(accountId).collection('sessions').doc(label).set({
+        blocklist: { ids: Array.from(ids), count: ids.length, updatedAt: new Date() }
+      }, { merge: true });
+    },
+    async getBlocklist(accountId, label) {
+      const d = await acc(accountId).collection('sessions').doc(label).get();
+      return d.exists ? (d.get('blocklist') || null) : null;
+    },
+    async setArchive(accountId, label, archive) {
+      await acc(accountId).collection('sessions').doc(label).set({ archive }, { merge: true });
+    },
+    async getStatus(accountId, label) {
+      const d = await acc(accountId).collection('sessions').doc(label).get();
+      return d.exists ? (d.get('status') || null) : null;
+    },
+    // Server the account is assigned to (/admin/assignServer), or null.
+    async getServer(accountId) {
+      const d = await acc(accountId).get();
+      return d.exists ? (d.get('wsServer') || null) : null;
+    },
+    async getArchive(accountId, label) {
+      const d = await acc(accountId).collection('sessions').doc(label).get();
+      return d.exists ? (d.get('archive') || null) : null;
+    },
     async remove(accountId, label) {
       await acc(accountId).collection('sessions').doc(label).delete().catch(()=>{});
     },
@@ -28,7 +61,9 @@ export function createSessionRegistry({ db }) {
         waId: d.get('waId') || null,
         status: d.get('status') || 'idle',
         createdAt: d.get('createdAt')?.toDate?.() || null,
-        lastReadyAt: d.get('lastReadyAt')?.toDate?.() || null
+        lastReadyAt: d.get('lastReadyAt')?.toDate?.() || null,
+        profile: d.get('profile') || null,
+        reconnect: d.get('reconnect') || null
       })).sort((a,b) => a.label.localeCompare(b.label));
     },
     async getWaId(accountId, label) {
@@ -0,0 +1,69 @@
+// Coordinated shutdown on SIGINT (systemd KillSignal) / SIGTERM.
+// Order: stop accepting HTTP/WS → persist bot buffers → finish / release bot outbox turns while the
+// send queue still runs → let running sends finish (bounded) → close WS clients with 1001 →
+// destroy WA clients without logging out → exit.
+// deadlineMs must leave headroom under systemd's TimeoutStopSec (20s in setup.sh).
+
+export function installShutdown({ server, wsHub, sessions, sendQueue, scheduler, bot, archiver = null, webhooks = null, deadlineMs = 12_000, exitGraceMs = 5_000 }) {
+  let started = false;
+
+  async function step(name, fn) {
+    try {
+      const out = await fn();
+      console.log(`[shutdown] ${name} done`, out ?? '');
+    } catch (e) {
+      console.error(`[shutdown] ${name} failed`, e);
+    }
+  }
+
+  async function run(signal) {
+    if (started) return;
+    started = true;
+    console.log(`[shutdown] ${signal} received; draining (deadline ${deadlineMs}ms)`);
+
+    // Hard stop if something hangs past the deadline + grace.
+    setTimeout(() => {
+      console.error('[shutdown] deadline exceeded; forcing exit');
+      process.exit(1);
+    }, deadlineMs + exitGraceMs).unref();
+
+    const deadline = Date.now() + deadlineMs;
+    const left = () => Math.max(0, deadline - Date.now());
+
+    // 1) no new HTTP requests / WS upgrades; in-flight requests still complete
+    wsHub.stopAccepting();
+    const httpClosed = new Promise((resolve) => server.close(() => resolve()));
+    server.closeIdleConnections?.();
+
+    // 2) open debounce windows → pending turns in Firestore
+    await step('bot buffers', () => bot.flushBuffers());
+
+    // 3) outbox claims wait on their queued job, so the queue keeps pumping until they settle;
+    //    claims still open at half the budget go back to 'ready' for the next boot
+    scheduler.stop();
+    await step('bot outbox', () => bot.drainOutbox({ timeoutMs: Math.floor(left() / 2) }));
+
+    // 4) running sendText/sendMedia; queued jobs / schedules stay in Firestore
+    sendQueue.stop();
+    await step('sends', () => sessions.drain({ timeoutMs: left() }));
+
+    // 5) WS clients
+    await step('ws', () => wsHub.close(1001, 'server shutting down'));
+
+    // 6) browsers (auth stays on disk / in the remote store); archive stops after the last sends,
+    //    undelivered webhooks are parked as dead letters
+    archiver?.stop();
+    if (webhooks) await step('webhooks', () => webhooks.stop({ timeoutMs: left() }));
+    await step('sessions', () => sessions.shutdown());
+
+    server.closeAllConnections?.();
+    await Promise.race([httpClosed, new Promise((r) => setTimeout(r, 1000))]);
+    console.log('[shutdown] bye');
+    process.exit(0);
+  }
+
+  process.once('SIGINT', () => run('SIGINT'));
+  process.once('SIGTERM', () => run('SIGTERM'));
+
+  return { run };
+}
@@ -0,0 +1,444 @@
+// Outbound webhooks: per-account subscriptions, signed POSTs with retries, dead-letter + replay.
+// - Subscriptions: /accounts/{aid}/webhooks/{id} { url, secret, types[], sessions[], enabled, description }
+//   (empty types/sessions = everything)
+// - Each bus event matching a subscription is POSTed as JSON with
+//     X-Webhook-Id (delivery id), X-Webhook-Event, X-Webhook-Timestamp and
+//     X-Webhook-Signature: sha256=<hex HMAC-SHA256(secret, `${timestamp}.${body}`)>
+// - 2xx = delivered. 408/429/5xx/network errors retry with exponential backoff; other 4xx fail at once.
+// - Failures land in /accounts/{aid}/webhookDeadLetters/{deliveryId} and can be replayed
+//   (status: dead → replaying → replayed | dead).
+// - Targets must resolve to public addresses: loopback, private, link-local (cloud metadata),
+//   CGNAT, NAT64 and multicast are refused on create/update and again before every POST, and the
+//   POST connects to the address that was checked (no second lookup a rebinding DNS could answer).
+// Retries live in memory; on stop() POSTs in flight get until the deadline, then anything still
+// pending is parked as dead letters.
+
+import crypto from 'node:crypto';
+import dns from 'node:dns/promises';
+import net from 'node:net';
+import { FieldValue } from 'firebase-admin/firestore';
+import { Agent, fetch } from 'undici';
+import { rand } from './session/utils.js';
+
+export function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', String(secret)).update(`${timestamp}.${body}`).digest('hex');
+}
+
+const NON_PUBLIC = new net.BlockList();
+for (const [addr, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]]) {
+  NON_PUBLIC.addSubnet(addr, prefix, 'ipv4');
+}
+for (const [addr, prefix] of [['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  NON_PUBLIC.addSubnet(addr, prefix, 'ipv6');
+}
+
+export function isPublicAddress(ip) {
+  const family = net.isIP(String(ip));
+  if (!family) return false;
+  return !NON_PUBLIC.check(String(ip), family === 6 ? 'ipv6' : 'ipv4');
+}
+
+export function createWebhookDispatcher({ db, sessions, config = {} }) {
+  const cfg = {
+    timeoutMs: 10_000, maxAttempts: 6, retryBaseMs: 2_000, retryMaxMs: 5 * 60_000, maxConcurrent: 8,
+    maxBacklogPerWebhook: 1_000, subscriptionsCacheMs: 30_000, allowHttp: false, allowPrivateHosts: false,
+    signatureHeader: 'X-Webhook-Signature',
+    ...config,
+  };
+
+  const subsCache = new Map(); // accountId -> { at, subs[] }
+  const backlog = new Map();   // webhookId -> number of deliveries queued/retrying
+  const waiting = [];          // deliveries ready to POST, waiting for a concurrency slot
+  const retrying = new Map();  // deliveryId -> { delivery, timer }
+  const inflight = new Set();  // attempt promises (POST + bookkeeping)
+  let abortAll = new AbortController(); // cuts POSTs still running at the stop() deadline
+  let active = 0;
+  let listener = null;
+  let stopped = false;
+  const counters = { delivered: 0, retried: 0, deadLettered: 0 };
+
+  const hooksOf = (accountId) => db.collection('accounts').doc(accountId).collection('webhooks');
+  const deadOf = (accountId) => db.collection('accounts').doc(accountId).collection('webhookDeadLetters');
+
+  // ---------- Subscriptions ----------
+  // Resolve the host and refuse non-public addresses; resolves to the checked addresses.
+  // Lookup errors are left as-is (retryable).
+  async function assertPublicHost(url) {
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    const addrs = net.isIP(host)
+      ? [{ address: host, family: net.isIP(host) }]
+      : await dns.lookup(host, { all: true, verbatim: true });
+    if (!addrs.length || !addrs.every((a) => isPublicAddress(a.address))) {
+      throw Object.assign(new Error('invalid url (resolves to a private, loopback or link-local address)'), { permanent: true });
+    }
+    return addrs;
+  }
+
+  // One-shot dispatcher whose connections go to `addrs` whatever the hostname resolves to now
+  // (TLS still verifies against the hostname).
+  function pinnedAgent(addrs) {
+    const lookup = (hostname, options, cb) => {
+      if (typeof options === 'function') [cb, options] = [options, {}];
+      if (options?.all) return cb(null, addrs.map(({ address, family }) => ({ address, family })));
+      cb(null, addrs[0].address, addrs[0].family);
+    };
+    return new Agent({ connect: { lookup } });
+  }
+
+  async function validateUrl(url) {
+    let u = null;
+    try { u = new URL(String(url)); } catch { throw new Error('invalid url'); }
+    if (u.protocol !== 'https:' && !(cfg.allowHttp && u.protocol === 'http:')) throw new Error('invalid url (https required)');
+    if (cfg.allowPrivateHosts) return u.toString();
+    try {
+      await assertPublicHost(u.toString());
+    } catch (e) {
+      if (e.permanent) throw e;
+      throw new Error(`invalid url (cannot resolve ${u.hostname})`);
+    }
+    return u.toString();
+  }
+
+  const strList = (x) => (Array.isArray(x) ? Array.from(new Set(x.map(String).filter(Boolean))) : []);
+
+  function publicSub(id, x, { withSecret = false } = {}) {
+    return {
+      id,
+      url: x.url,
+      types: x.types || [],
+      sessions: x.sessions || [],
+      enabled: x.enabled !== false,
+      description: x.description || null,
+      secret: withSecret ? x.secret : `${String(x.secret || '').slice(0, 4)}…`,
+      createdAt: x.createdAt?.toDate?.() || null,
+      updatedAt: x.updatedAt?.toDate?.() || null,
+    };
+  }
+
+  async function subscriptionsOf(accountId) {
+    const hit = subsCache.get(accountId);
+    if (hit && Date.now() - hit.at < cfg.subscriptionsCacheMs) return hit.subs;
+    const snap = await hooksOf(accountId).get();
+    const subs = snap.docs.map((d) => ({ id: d.id, ...d.data() })).filter((s) => s.enabled !== false && s.url && s.secret);
+    subsCache.set(accountId, { at: Date.now(), subs });
+    return subs;
+  }
+
+  async function list({ accountId }) {
+    const snap = await hooksOf(accountId).get();
+    return snap.docs.map((d) => publicSub(d.id, d.data() || {}));
+  }
+
+  // The secret is returned only here (and on rotateSecret).
+  async function create({ accountId, url, types = [], sessions: labels = [], description = null, secret = null, createdBy = null }) {
+    const doc = {
+      url: await validateUrl(url),
+      types: strList(types),
+      sessions: strList(labels),
+      description: description ? String(description) : null,
+      secret: secret ? String(secret) : crypto.randomBytes(24).toString('hex'),
+      enabled: true,
+      createdBy,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    };
+    if (doc.secret.length < 16) throw new Error('invalid secret (min 16 chars)');
+    const ref = hooksOf(accountId).doc();
+    await ref.set(doc);
+    subsCache.delete(accountId);
+    return publicSub(ref.id, { ...doc, createdAt: null, updatedAt: null }, { withSecret: true });
+  }
+
+  async function update({ accountId, id, patch = {} }) {
+    const ref = hooksOf(accountId).doc(String(id));
+    const snap = await ref.get();
+    if (!snap.exists) throw new Error('webhook not found');
+
+    const up = { updatedAt: FieldValue.serverTimestamp() };
+    if (patch.url !== undefined) up.url = await validateUrl(patch.url);
+    if (patch.types !== undefined) up.types = strList(patch.types);
+    if (patch.sessions !== undefined) up.sessions = strList(patch.sessions);
+    if (patch.description !== undefined) up.description = patch.description ? String(patch.description) : null;
+    if (typeof patch.enabled === 'boolean') up.enabled = patch.enabled;
+    if (patch.rotateSecret) up.secret = crypto.randomBytes(24).toString('hex');
+
+    await ref.update(up);
+    subsCache.delete(accountId);
+    const x = (await ref.get()).data() || {};
+    return publicSub(ref.id, x, { withSecret: !!patch.rotateSecret });
+  }
+
+  async function remove({ accountId, id }) {
+    const ref = hooksOf(accountId).doc(String(id));
+    const snap = await ref.get();
+    if (!snap.exists) throw new Error('webhook not found');
+    await ref.delete();
+    subsCache.delete(accountId);
+    return { id: String(id) };
+  }
+
+  // 'qr' carries login material: only sent to subscriptions that list it explicitly.
+  function matches(sub, evt) {
+    if (!sub.types?.length && evt.type === 'qr') return false;
+    if (sub.types?.length && !sub.types.includes(evt.type)) return false;
+    if (sub.sessions?.length && !sub.sessions.includes(evt.sessionId)) return false;
+    return true;
+  }
+
+  // ---------- Delivery ----------
+  function backoff(attempt) {
+    const exp = Math.min(cfg.retryMaxMs, cfg.retryBaseMs * 2 ** Math.max(0, attempt - 1));
+    return exp + rand(0, Math.floor(exp * 0.2));
+  }
+
+  const track = (webhookId, n) => {
+    const v = (backlog.get(webhookId) || 0) + n;
+    if (v > 0) backlog.set(webhookId, v); else backlog.delete(webhookId);
+  };
+
+  // deliveryId: a replay reuses the dead letter's id, so a repeat failure updates that same doc.
+  function enqueue(sub, accountId, event, { deliveryId = null } = {}) {
+    const delivery = {
+      id: deliveryId || crypto.randomUUID(),
+      accountId,
+      webhookId: sub.id,
+      url: sub.url,
+      secret: sub.secret,
+      event,
+      attempts: 0,
+      done: null,
+    };
+    delivery.promise = new Promise((resolve) => { delivery.done = resolve; });
+
+    if ((backlog.get(sub.id) || 0) >= cfg.maxBacklogPerWebhook) {
+      deadLetter(delivery, { error: 'backlog full' });
+      return delivery.promise;
+    }
+    track(sub.id, 1);
+    waiting.push(delivery);
+    pump();
+    return delivery.promise;
+  }
+
+  function pump() {
+    while (!stopped && active < cfg.maxConcurrent && waiting.length) {
+      const d = waiting.shift();
+      active++;
+      const p = attempt(d).finally(() => { active--; inflight.delete(p); pump(); });
+      inflight.add(p);
+    }
+  }
+
+  async function post(d) {
+    const dispatcher = cfg.allowPrivateHosts ? undefined : pinnedAgent(await assertPublicHost(d.url));
+    try {
+      return await send(d, dispatcher);
+    } finally {
+      dispatcher?.destroy().catch(() => {});
+    }
+  }
+
+  async function send(d, dispatcher) {
+    const body = JSON.stringify(d.event);
+    const ts = String(Math.floor(Date.now() / 1000));
+    const res = await fetch(d.url, {
+      dispatcher,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'cip-ws-webhooks/1',
+        'X-Webhook-Id': d.id,
+        'X-Webhook-Event': String(d.event?.type || ''),
+        'X-Webhook-Timestamp': ts,
+        [cfg.signatureHeader]: signPayload(d.secret, ts, body),
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.any([AbortSignal.timeout(cfg.timeoutMs), abortAll.signal]),
+    });
+    await res.body?.cancel().catch(() => {});
+    return res.status;
+  }
+
+  async function attempt(d) {
+    d.attempts++;
+    let status = null;
+    let error = null;
+    let permanent = false;
+    try {
+      status = await post(d);
+      if (status >= 200 && status < 300) {
+        counters.delivered++;
+        track(d.webhookId, -1);
+        return d.done({ ok: true, status, attempts: d.attempts });
+      }
+      error = `HTTP ${status}`;
+    } catch (e) {
+      error = String(e?.name === 'TimeoutError' ? 'timeout' : e?.message || e);
+      permanent = !!e?.permanent;
+    }
+
+    const retryable = !permanent && (status == null || status === 408 || status === 429 || status >= 500);
+    if (retryable && d.attempts < cfg.maxAttempts && !stopped) {
+      counters.retried++;
+      const timer = setTimeout(() => {
+        retrying.delete(d.id);
+        waiting.push(d);
+        pump();
+      }, backoff(d.attempts));
+      retrying.set(d.id, { delivery: d, timer, lastError: error, lastStatus: status });
+      return;
+    }
+
+    track(d.webhookId, -1);
+    await deadLetter(d, { error, status });
+  }
+
+  async function deadLetter(d, { error, status = null }) {
+    counters.deadLettered++;
+    try {
+      await deadOf(d.accountId).doc(d.id).set({
+        webhookId: d.webhookId,
+        url: d.url,
+        event: d.event,
+        eventType: String(d.event?.type || ''),
+        attempts: d.attempts,
+        lastError: error || null,
+        lastStatus: status,
+        status: 'dead',
+        failedAt: FieldValue.serverTimestamp(),
+      }, { merge: true });
+    } catch (e) {
+      console.error('[webhooks] dead-letter write failed', d.id, e?.message || e);
+    }
+    d.done({ ok: false, status, error, attempts: d.attempts, deadLettered: true });
+  }
+
+  async function dispatch(evt) {
+    const subs = await subscriptionsOf(evt.accountId);
+    for (const sub of subs) if (matches(sub, evt)) enqueue(sub, evt.accountId, evt);
+  }
+
+  // ---------- Dead letters ----------
+  async function listDeadLetters({ accountId, webhookId = null, limit = 50 }) {
+    let q = deadOf(accountId).where('status', '==', 'dead');
+    if (webhookId) q = q.where('webhookId', '==', String(webhookId));
+    const snap = await q.limit(Math.max(1, Math.min(500, Number(limit) || 50))).get();
+    return snap.docs.map((d) => {
+      const x = d.data() || {};
+      return {
+        id: d.id,
+        webhookId: x.webhookId,
+        eventType: x.eventType,
+        attempts: x.attempts,
+        lastError: x.lastError,
+        lastStatus: x.lastStatus,
+        failedAt: x.failedAt?.toDate?.() || null,
+      };
+    });
+  }
+
+  // Re-queue dead letters (by ids, or every dead one of a webhook) to the webhook's *current* url/secret.
+  // Returns once queued; each doc ends up 'replayed' or back to 'dead'.
+  async function replay({ accountId, ids = null, webhookId = null, limit = 100 }) {
+    let docs = [];
+    if (Array.isArray(ids) && ids.length) {
+      const snaps = await Promise.all(ids.slice(0, 500).map((id) => deadOf(accountId).doc(String(id)).get()));
+      docs = snaps.filter((s) => s.exists && s.get('status') === 'dead');
+    } else if (webhookId) {
+      const snap = await deadOf(accountId).where('status', '==', 'dead').where('webhookId', '==', String(webhookId))
+        .limit(Math.max(1, Math.min(500, Number(limit) || 100))).get();
+      docs = snap.docs;
+    } else {
+      throw new Error('ids[] or webhookId required');
+    }
+
+    const hooks = new Map();
+    let queued = 0;
+    const skipped = [];
+    for (const d of docs) {
+      const x = d.data() || {};
+      if (!hooks.has(x.webhookId)) {
+        const h = await hooksOf(accountId).doc(String(x.webhookId)).get();
+        hooks.set(x.webhookId, h.exists ? { id: h.id, ...h.data() } : null);
+      }
+      const sub = hooks.get(x.webhookId);
+      if (!sub || sub.enabled === false) { skipped.push({ id: d.id, reason: sub ? 'webhook disabled' : 'webhook deleted' }); continue; }
+
+      await d.ref.update({ status: 'replaying', replayedAt: FieldValue.serverTimestamp() });
+      queued++;
+      enqueue(sub, accountId, x.event, { deliveryId: d.id })
+        .then((out) => d.ref.update({ status: out.ok ? 'replayed' : 'dead', lastReplayError: out.ok ? null : out.error || null }))
+        .catch((e) => console.error('[webhooks] replay bookkeeping failed', d.id, e?.message || e));
+    }
+    return { queued, skipped };
+  }
+
+  // A synthetic event, straight to one webhook (no retries worth waiting for).
+  async function ping({ accountId, id }) {
+    const h = await hooksOf(accountId).doc(String(id)).get();
+    if (!h.exists) throw new Error('webhook not found');
+    const sub = { id: h.id, ...h.data() };
+    const d = { id: crypto.randomUUID(), url: sub.url, secret: sub.secret, event: { type: 'ping', ts: Date.now(), accountId, webhookId: sub.id } };
+    try {
+      const status = await post(d);
+      return { ok: status >= 200 && status < 300, status };
+    } catch (e) {
+      return { ok: false, error: String(e?.message || e) };
+    }
+  }
+
+  // ---------- Lifecycle ----------
+  function start() {
+    if (listener) return;
+    stopped = false;
+    if (abortAll.signal.aborted) abortAll = new AbortController();
+    listener = (evt) => {
+      if (!evt?.accountId || stopped) return;
+      dispatch(evt).catch((e) => console.error('[webhooks] dispatch failed', evt.type, e?.message || e));
+    };
+    sessions.on('evt', listener);
+  }
+
+  // Stop listening, give POSTs in flight until timeoutMs (then abort them), and park everything
+  // not yet delivered as dead letters (replayable after restart).
+  async function stop({ timeoutMs = 5_000 } = {}) {
+    stopped = true;
+    if (listener) sessions.off('evt', listener);
+    listener = null;
+
+    const settled = (ms) => {
+      let timer = null;
+      return Promise.race([
+        Promise.allSettled(Array.from(inflight)),
+        new Promise((r) => { timer = setTimeout(r, ms); }),
+      ]).finally(() => clearTimeout(timer));
+    };
+    const running = inflight.size;
+    if (running) await settled(timeoutMs);
+    const finished = running - inflight.size;
+    if (inflight.size) {
+      abortAll.abort();
+      await settled(1_000); // their dead-letter writes
+    }
+
+    const parked = [...waiting.splice(0)];
+    for (const { delivery, timer, lastError, lastStatus } of retrying.values()) {
+      clearTimeout(timer);
+      delivery.lastError = lastError;
+      delivery.lastStatus = lastStatus;
+      parked.push(delivery);
+    }
+    retrying.clear();
+    await Promise.allSettled(parked.map((d) => {
+      track(d.webhookId, -1);
+      return deadLetter(d, { error: `shutdown${d.lastError ? ` (last: ${d.lastError})` : ''}`, status: d.lastStatus ?? null });
+    }));
+    return { parked: parked.length, finished, aborted: running - finished };
+  }
+
+  const stats = () => ({ active, waiting: waiting.length, retrying: retrying.size, ...counters });
+
+  return { start, stop, list, create, update, remove, listDeadLetters, replay, ping, stats };
+}
@@ -0,0 +1,104 @@
+// lib/wsCommands.js
+// Commands sent over /ws: { type:'command', requestId, command, params:{ label, ... } }.
+// Each gets exactly one reply carrying the same requestId:
+//   { type:'ack',   requestId, command, result }
+//   { type:'error', requestId, command, status, error }   (status mirrors the REST status code)
+// Sends go through the outbound queue like POST /messages/send: the ack carries the jobId, and the
+// outcome follows on the event stream as outbound_sent / outbound_failed with that jobId.
+
+import { chatIdFromMessageId } from './session/messages.js';
+import { errorStatus } from '../routes/respond.js';
+
+const CHAT_STATES = { typing: 'sendStateTyping', recording: 'sendStateRecording', paused: 'clearState' };
+
+class CommandError extends Error {
+  constructor(status, message) { super(message); this.status = status; }
+}
+
+const need = (params, ...keys) => {
+  const missing = keys.filter((k) => params[k] === undefined || params[k] === null || params[k] === '');
+  if (missing.length) throw new CommandError(400, `${missing.join(', ')} required`);
+};
+
+export function createWsCommands({ sessions, sendQueue }) {
+  async function enqueue(meta, job) {
+    const st = await sessions.ensureAwake(meta);
+    if (!sendQueue.accepts(st)) throw new CommandError(409, `session not ready (status=${st || null})`);
+    const { jobId, position, done } = await sendQueue.enqueue({ ...meta, ...job, source: 'ws' });
+    done.catch(() => {}); // the outcome is reported on the event stream
+    return { queued: true, jobId, position };
+  }
+
+  async function direct(meta, fn) {
+    const st = await sessions.ensureAwake(meta);
+    if (st !== 'ready') throw new CommandError(409, `session not ready (status=${st || null})`);
+    return fn();
+  }
+
+  const COMMANDS = {
+    async send_text(meta, p) {
+      need(p, 'to', 'text');
+      return enqueue(meta, { kind: 'text', to: p.to, text: p.text, options: p.options || {}, priority: p.priority || 'normal' });
+    },
+
+    async send_media(meta, p) {
+      need(p, 'to', 'media');
+      return enqueue(meta, { kind: 'media', to: p.to, media: p.media, options: p.options || {}, priority: p.priority || 'normal' });
+    },
+
+    async reply(meta, p) {
+      need(p, 'quotedMessageId', 'text');
+      const to = p.to || chatIdFromMessageId(p.quotedMessageId);
+      if (!to) throw new CommandError(400, 'to required (the quoted id carries no chat)');
+      return enqueue(meta, {
+        kind: 'reply', to, priority: p.priority || 'normal',
+        params: { quotedMessageId: String(p.quotedMessageId), text: String(p.text), mentions: p.mentions || [], options: p.options || {} },
+      });
+    },
+
+    async react(meta, p) {
+      need(p, 'messageId');
+      return direct(meta, () => sessions.react({ ...meta, messageId: p.messageId, emoji: p.emoji ?? '' }));
+    },
+
+    async mark_seen(meta, p) {
+      need(p, 'chatId');
+      return direct(meta, () => sessions.chatAction({ ...meta, chatId: p.chatId, action: 'markSeen' }));
+    },
+
+    async typing(meta, p) {
+      const state = p.state || 'typing';
+      const method = CHAT_STATES[state];
+      if (!method) throw new CommandError(400, `invalid state "${state}" (${Object.keys(CHAT_STATES).join('|')})`);
+      need(p, 'chatId');
+      return direct(meta, () => sessions[method]({ ...meta, chatId: p.chatId }));
+    },
+  };
+
+  /**
+   * Run one command for an authenticated connection. `acl` is the connection's live session set
+   * (rbac.subscribeAllowed), not the narrower set it subscribed to. Resolves with the reply frame.
+   */
+  async function run({ accountId, acl }, m) {
+    const requestId = m.requestId ?? null;
+    const command = String(m.command || '');
+    const reply = (type, extra) => ({ type, ts: Date.now(), requestId, command, ...extra });
+    try {
+      const fn = Object.hasOwn(COMMANDS, command) ? COMMANDS[command] : null;
+      if (!fn) throw new CommandError(400, `unknown command "${command}" (${Object.keys(COMMANDS).join('|')})`);
+      const params = m.params && typeof m.params === 'object' ? m.params : {};
+      need(params, 'label');
+      const label = String(params.label);
+      if (!acl.has(label)) throw new CommandError(403, 'session not allowed by ACL');
+
+      const result = await fn({ accountId, label }, params);
+      return reply('ack', { result: result ?? { ok: true } });
+    } catch (e) {
+      const msg = String(e?.message || e);
+      const status = e instanceof CommandError ? e.status : errorStatus(msg);
+      return reply('error', { status, error: msg });
+    }
+  }
+
+  return { run, names: Object.keys(COMMANDS) };
+}
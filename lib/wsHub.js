@@ -1,15 +1,107 @@
 // Single WS endpoint /ws?accountId=...&token=FIREBASE_ID_TOKEN
-// - Verifies Firebase ID token
+// - Verifies Firebase ID token (URL, or { type:'auth', token } as the first message within
+//   firstMessageTimeoutMs; frames sent right behind it wait until it is verified); 'auth' again
+//   with a fresh token extends the connection. Closes with 4401 when the token expires, 4410 when
+//   it is revoked or the user disabled.
 // - Checks membership & role
 // - Builds allowed sessions[] (Admin → all, else ACL doc)
 // - Subscribes to Firestore for live updates of ACL/sessions
 // - Streams only events for that accountId + allowed sessions
+// - Resume: every event carries a per-account `seq`; a client that reconnects sends
+//   { type:'resume', lastSeq } and gets what it missed (replay buffer, then the archive for older
+//   gaps) before live streaming continues. Live events arriving meanwhile are held and flushed after.
+//   The archive only has messages, so a resume that reaches it always ends with gap: true.
+// - Commands: { type:'command', requestId, command, params } → one ack/error reply (lib/wsCommands.js),
+//   authorized against the live ACL (conn.acl), not the narrowed subscription (conn.allowed).
+// - Backpressure: once a socket has more than highWaterBytes unsent, events wait in a bounded
+//   per-connection queue and a per-type policy applies: 'drop' (skip it), 'coalesce' (keep only the
+//   latest per session, e.g. qr) or 'disconnect' (queue; close with 4009 when full, client resumes).
 
 import { WebSocketServer } from 'ws';
 
-export function createWsHub({ server, authAdmin, rbac, sessions, maxConnections = 2000 }) {
+export function createWsHub({ server, authAdmin, rbac, sessions, maxConnections = 2000, replay = {}, archive = null, commands = null, maxInFlight = 16, backpressure = {}, tokens = {} }) {
   const wss = new WebSocketServer({ noServer: true });
-  const conns = new Set(); // {ws, uid, accountId, allowed:Set, extra?, alive, unsub?:fn}
+  const conns = new Set(); // {ws, uid, accountId, acl:Set, allowed:Set, extra?, alive, unsub?:fn, pending?:[], inFlight, queue:[], queuedBytes, dropped, exp, authTime}
+  let accepting = true;
+
+  const rcfg = { maxEvents: 5_000, maxAgeMs: 15 * 60_000, maxPending: 2_000, archiveLimit: 1_000, skipTypes: ['qr', 'loading'], ...replay };
+  const skipTypes = new Set(rcfg.skipTypes);
+  const bootSeq = Date.now() * 1000;   // anything below this predates the process
+  const buffers = new Map();           // accountId -> { events: [], evictedUpTo }
+
+  function remember(evt) {
+    if (typeof evt.seq !== 'number' || skipTypes.has(evt.type)) return;
+    let b = buffers.get(evt.accountId);
+    if (!b) buffers.set(evt.accountId, (b = { events: [], evictedUpTo: bootSeq }));
+    b.events.push(evt);
+
+    const minTs = Date.now() - rcfg.maxAgeMs;
+    let drop = 0;
+    while (drop < b.events.length && (b.events.length - drop > rcfg.maxEvents || b.events[drop].ts < minTs)) drop++;
+    if (drop) b.evictedUpTo = b.events.splice(0, drop).pop().seq;
+  }
+
+  const send = (c, obj) => { try { c.ws.send(typeof obj === 'string' ? obj : JSON.stringify(obj)); } catch {} };
+
+  const bp = { highWaterBytes: 1024 * 1024, maxQueued: 1_000, maxQueuedBytes: 8 * 1024 * 1024, defaultPolicy: 'disconnect', policies: {}, ...backpressure };
+  const counters = { dropped: 0, coalesced: 0, slowConsumerCloses: 0, droppedByType: {}, authCloses: {} };
+
+  const MAX_HELD_FRAMES = 32; // frames sent behind a pending first 'auth'
+  const auth = { firstMessageTimeoutMs: 10_000, refreshWarnMs: 60_000, revocationCheckMs: 5 * 60_000, ...tokens };
+
+  // 'resumed' closes a replay: queue it like any event, but never drop or coalesce it
+  const policyOf = (type) => (type === 'resumed' ? 'disconnect' : bp.policies[type] || bp.defaultPolicy);
+  const backedUp = (c) => c.queue.length > 0 || c.ws.bufferedAmount > bp.highWaterBytes;
+
+  function countDrop(c, type) {
+    c.dropped++;
+    counters.dropped++;
+    counters.droppedByType[type] = (counters.droppedByType[type] || 0) + 1;
+  }
+
+  // Write queued events while the socket is below the high-water mark; re-armed by each send callback.
+  function flush(c) {
+    while (c.queue.length && c.ws.readyState === c.ws.OPEN && c.ws.bufferedAmount <= bp.highWaterBytes) {
+      const item = c.queue.shift();
+      c.queuedBytes -= item.data.length;
+      try { c.ws.send(item.data, () => flush(c)); } catch {}
+    }
+  }
+
+  function deliver(c, evt, data) {
+    if (!backedUp(c)) {
+      try { c.ws.send(data, () => flush(c)); } catch {}
+      return;
+    }
+
+    const policy = policyOf(evt.type);
+    if (policy === 'drop') return countDrop(c, evt.type);
+
+    if (policy === 'coalesce') {
+      const key = `${evt.type}|${evt.sessionId}`;
+      const i = c.queue.findIndex((q) => q.key === key);
+      if (i !== -1) {
+        c.queuedBytes += data.length - c.queue[i].data.length;
+        c.queue.splice(i, 1);
+        c.queue.push({ key, data });
+        counters.coalesced++;
+        return;
+      }
+    }
+
+    if (c.queue.length >= bp.maxQueued || c.queuedBytes + data.length > bp.maxQueuedBytes) {
+      if (policy !== 'disconnect') return countDrop(c, evt.type);
+      countDrop(c, evt.type);
+      counters.slowConsumerCloses++;
+      c.queue = [];
+      c.queuedBytes = 0;
+      try { c.ws.close(4009, 'slow consumer'); } catch {}
+      return;
+    }
+
+    c.queue.push({ key: policy === 'coalesce' ? `${evt.type}|${evt.sessionId}` : null, data });
+    c.queuedBytes += data.length;
+  }
 
   function canSee(c, evt) {
     if (evt.accountId !== c.accountId) return false;
@@ -26,86 +118,330 @@ export function createWsHub({ server, authAdmin, rbac, sessions, maxConnections
   }
 
   function push(evt) {
+    remember(evt);
     const msg = JSON.stringify(evt);
     for (const c of conns) {
       if (c.ws.readyState !== c.ws.OPEN) continue;
-      if (canSee(c, evt)) { try { c.ws.send(msg); } catch {} }
+      if (!canSee(c, evt)) continue;
+      if (c.pending) {
+        // replay in progress: hold live events so ordering is kept
+        if (c.pending.length >= rcfg.maxPending) { try { c.ws.close(4008, 'resume backlog overflow'); } catch {} continue; }
+        c.pending.push(evt);
+        continue;
+      }
+      deliver(c, evt, msg);
+    }
+  }
+
+  async function runCommand(conn, m) {
+    const requestId = m.requestId ?? null;
+    if (!commands) return send(conn, { type: 'error', ts: Date.now(), requestId, command: m.command, status: 501, error: 'commands disabled' });
+    if (conn.inFlight >= maxInFlight) {
+      return send(conn, { type: 'error', ts: Date.now(), requestId, command: m.command, status: 429, error: `too many commands in flight (max ${maxInFlight})` });
+    }
+    conn.inFlight++;
+    try {
+      send(conn, await commands.run({ accountId: conn.accountId, acl: conn.acl }, m));
+    } finally {
+      conn.inFlight--;
+    }
+  }
+
+  // Missed events for one connection: archive (if the gap is older than the buffer) + buffer.
+  // Replayed events and the closing 'resumed' go through deliver(), so a slow client gets the same
+  // backpressure policy as live traffic (and events stay in order behind anything already queued).
+  async function resume(conn, lastSeq) {
+    if (conn.pending) return send(conn, { type: 'error', ts: Date.now(), error: 'resume already running' });
+    conn.pending = [];
+    let sent = 0;
+    let upTo = lastSeq;
+    let gap = false;
+    const droppedBefore = conn.dropped;
+    const replay = (evt) => {
+      deliver(conn, evt, JSON.stringify(evt));
+      sent++;
+      upTo = evt.seq;
+    };
+    try {
+      const b = buffers.get(conn.accountId) || { events: [], evictedUpTo: bootSeq };
+      const firstBuffered = b.events[0]?.seq ?? Number.MAX_SAFE_INTEGER;
+
+      if (lastSeq < b.evictedUpTo) {
+        if (archive?.enabled) {
+          const older = await archive.eventsSince({
+            accountId: conn.accountId,
+            labels: Array.from(conn.allowed),
+            afterSeq: lastSeq,
+            beforeSeq: firstBuffered,
+            limit: rcfg.archiveLimit,
+          });
+          for (const evt of older) if (canSee(conn, evt)) replay(evt);
+        }
+        // past the buffer: acks/edits/revokes/status changes are lost even with the archive
+        gap = true;
+      }
+
+      for (const evt of b.events) {
+        if (evt.seq <= lastSeq || !canSee(conn, evt)) continue;
+        replay(evt);
+      }
+    } catch (e) {
+      gap = true;
+      console.error('[wsHub] resume failed', conn.accountId, e?.message || e);
     }
+
+    // gap: true → some events could not be replayed (or were dropped under backpressure); refetch state over REST.
+    if (conn.dropped > droppedBefore) gap = true;
+    const done = { type: 'resumed', ts: Date.now(), fromSeq: lastSeq, toSeq: upTo, count: sent, gap };
+    deliver(conn, done, JSON.stringify(done));
+
+    const held = conn.pending;
+    conn.pending = null;
+    for (const evt of held) if (evt.seq > upTo) deliver(conn, evt, JSON.stringify(evt));
   }
 
   // attach to WA event bus
   sessions.on('evt', push);
 
+  // Token lifetime: verified with the revocation check; the socket closes with 4401 at `exp`
+  // unless the client sends { type:'auth', token } with a fresh token for the same user first.
+  async function verify(token) {
+    const decoded = await authAdmin.verifyIdToken(token, true);
+    return { uid: decoded.uid, exp: decoded.exp * 1000, authTime: decoded.auth_time * 1000 };
+  }
+
+  function armExpiry(conn) {
+    clearTimeout(conn.expiryTimer);
+    clearTimeout(conn.warnTimer);
+    const left = conn.exp - Date.now();
+    if (left <= 0) return closeAuth(conn, 4401, 'token expired');
+    if (left > auth.refreshWarnMs) {
+      conn.warnTimer = setTimeout(() => send(conn, { type: 'token_expiring', ts: Date.now(), expiresAt: conn.exp }), left - auth.refreshWarnMs);
+    }
+    conn.expiryTimer = setTimeout(() => closeAuth(conn, 4401, 'token expired'), left);
+  }
+
+  function closeAuth(conn, code, reason) {
+    counters.authCloses[code] = (counters.authCloses[code] || 0) + 1;
+    try { conn.ws.close(code, reason); } catch {}
+  }
+
+  function release(conn) {
+    conns.delete(conn);
+    clearTimeout(conn.expiryTimer);
+    clearTimeout(conn.warnTimer);
+    clearTimeout(conn.authTimer);
+    try { conn.unsub?.(); } catch {}
+  }
+
+  // Membership + live ACL for an authenticated connection, then 'hello'.
+  async function attach(conn, { uid, exp, authTime }, initial = null) {
+    initial ||= await rbac.allowedSessions(conn.accountId, uid);
+    if (!initial.role) return closeAuth(conn, 4403, 'not a member');
+    if (conn.ws.readyState !== conn.ws.OPEN) return;
+
+    Object.assign(conn, { uid, exp, authTime });
+    conn.acl = new Set(initial.sessions.map(String));
+    conn.allowed = new Set(conn.acl);
+    armExpiry(conn);
+
+    // live ACL updates
+    conn.unsub = rbac.subscribeAllowed({ accountId: conn.accountId, uid }, ({ sessions }) => {
+      conn.acl = new Set((sessions || []).map(String));
+      conn.allowed = new Set(conn.acl);
+      try { conn.ws.send(JSON.stringify({ type: 'acl_update', ts: Date.now(), sessions: Array.from(conn.allowed) })); } catch {}
+      // if now empty, close
+      if (conn.allowed.size === 0) {
+        try { conn.ws.close(4403, 'ACL empty'); } catch {}
+      }
+    });
+
+    send(conn, { type: 'hello', ts: Date.now(), accountId: conn.accountId, sessions: Array.from(conn.allowed), expiresAt: exp });
+  }
+
+  // First auth attaches the connection; later ones only extend it. `authenticating` keeps a second
+  // frame sent before the first resolves from attaching twice (and subscribing to the ACL twice).
+  async function onAuth(conn, token) {
+    if (!conn.uid && conn.authenticating) return send(conn, { type: 'error', ts: Date.now(), error: 'auth already in progress' });
+    const first = !conn.uid;
+    if (first) conn.authenticating = true;
+    try {
+      let v;
+      try {
+        v = await verify(String(token || ''));
+      } catch (e) {
+        if (first) return closeAuth(conn, 4401, 'invalid token');
+        return send(conn, { type: 'error', ts: Date.now(), error: 'auth failed', detail: String(e?.code || e?.message || e) });
+      }
+      if (first) {
+        await attach(conn, v);
+        const held = conn.held.splice(0);
+        if (conn.uid) for (const m of held) onFrame(conn, m);
+        return;
+      }
+      return refresh(conn, v);
+    } finally {
+      if (first) conn.authenticating = false;
+    }
+  }
+
+  function refresh(conn, v) {
+    if (v.uid !== conn.uid) return closeAuth(conn, 4403, 'token belongs to another user');
+
+    Object.assign(conn, { exp: v.exp, authTime: v.authTime });
+    armExpiry(conn);
+    send(conn, { type: 'auth_ok', ts: Date.now(), expiresAt: v.exp });
+  }
+
+  // Frames of an authenticated connection (everything but 'auth').
+  function onFrame(conn, m) {
+    // Optional narrowing
+    if (m?.type === 'subscribe') {
+      const f = m.filters || {};
+      if (Array.isArray(f.sessions) && f.sessions.length) {
+        conn.allowed = new Set(f.sessions.map(String).filter(s => conn.allowed.has(s)));
+      }
+      conn.extra = {
+        types: Array.isArray(f.types) ? f.types : undefined,
+        chats: Array.isArray(f.chats) ? f.chats : undefined,
+        fromMe: typeof f.fromMe === 'boolean' ? f.fromMe : undefined
+      };
+      send(conn, { type:'subscribed', ts:Date.now(), sessions:Array.from(conn.allowed), filters:conn.extra });
+    } else if (m?.type === 'resume') {
+      const lastSeq = Number(m.lastSeq);
+      if (!Number.isFinite(lastSeq) || lastSeq < 0) {
+        send(conn, { type:'error', ts:Date.now(), error:'resume needs a numeric lastSeq' });
+      } else {
+        resume(conn, lastSeq);
+      }
+    } else if (m?.type === 'command') {
+      runCommand(conn, m);
+    }
+  }
+
   server.on('upgrade', async (req, socket, head) => {
     const url = new URL(req.url || '', 'http://x');
     if (url.pathname !== '/ws') return socket.destroy();
+    if (!accepting) return socket.destroy();
     if (conns.size >= maxConnections) return socket.destroy();
 
+    // token: in the URL (verified before upgrading) or in the first message ({ type:'auth', token })
     const accountId = url.searchParams.get('accountId') || '';
     const token = url.searchParams.get('token') || '';
-    if (!accountId || !token) return socket.destroy();
+    if (!accountId) return socket.destroy();
 
-    // verify token
-    let uid = null;
-    try {
-      const decoded = await authAdmin.verifyIdToken(token);
-      uid = decoded.uid;
-    } catch {
-      return socket.destroy();
+    let verified = null;
+    let initial = null;
+    if (token) {
+      try {
+        verified = await verify(token);
+      } catch {
+        return socket.destroy();
+      }
+      // check membership before upgrading
+      initial = await rbac.allowedSessions(accountId, verified.uid);
+      if (!initial.role) return socket.destroy();
     }
 
-    // check membership + initial allowed
-    const initial = await rbac.allowedSessions(accountId, uid);
-    if (!initial.role) return socket.destroy();
-
-    const allowedSet = new Set(initial.sessions.map(String));
     wss.handleUpgrade(req, socket, head, (ws) => {
-      const conn = { ws, uid, accountId, allowed: allowedSet, extra: null, alive: true, unsub: null };
-
-      // live ACL updates
-      conn.unsub = rbac.subscribeAllowed({ accountId, uid }, ({ sessions }) => {
-        conn.allowed = new Set((sessions || []).map(String));
-        try { conn.ws.send(JSON.stringify({ type: 'acl_update', ts: Date.now(), sessions: Array.from(conn.allowed) })); } catch {}
-        // if now empty, close
-        if (conn.allowed.size === 0) {
-          try { conn.ws.close(4403, 'ACL empty'); } catch {}
-        }
-      });
-
+      const conn = {
+        ws, uid: null, accountId, acl: new Set(), allowed: new Set(), extra: null, alive: true, unsub: null,
+        inFlight: 0, queue: [], queuedBytes: 0, dropped: 0, exp: 0, authTime: 0, authenticating: false, held: [],
+      };
       conns.add(conn);
 
       ws.on('pong', () => (conn.alive = true));
-      ws.on('close', () => { conns.delete(conn); try { conn.unsub?.(); } catch {} });
+      ws.on('close', () => release(conn));
 
       ws.on('message', (buf) => {
-        // Optional narrowing
         try {
           const m = JSON.parse(String(buf));
-          if (m?.type === 'subscribe') {
-            const f = m.filters || {};
-            if (Array.isArray(f.sessions) && f.sessions.length) {
-              conn.allowed = new Set(f.sessions.map(String).filter(s => conn.allowed.has(s)));
-            }
-            conn.extra = {
-              types: Array.isArray(f.types) ? f.types : undefined,
-              chats: Array.isArray(f.chats) ? f.chats : undefined,
-              fromMe: typeof f.fromMe === 'boolean' ? f.fromMe : undefined
-            };
-            ws.send(JSON.stringify({ type:'subscribed', ts:Date.now(), sessions:Array.from(conn.allowed), filters:conn.extra }));
+          if (m?.type === 'auth') {
+            return onAuth(conn, m.token).catch((e) => {
+              console.error('[wsHub] auth failed', e?.message || e);
+              closeAuth(conn, 1011, 'internal error'); // verify errors are handled; this is rbac/Firestore
+            });
+          }
+          if (!conn.uid) {
+            if (!conn.authenticating) return closeAuth(conn, 4401, 'auth required');
+            // sent right behind 'auth': handled once it settles (dropped if it fails)
+            if (conn.held.length >= MAX_HELD_FRAMES) return send(conn, { type: 'error', ts: Date.now(), error: 'auth still in progress' });
+            return conn.held.push(m);
           }
+          onFrame(conn, m);
         } catch {}
       });
 
-      ws.send(JSON.stringify({ type:'hello', ts:Date.now(), accountId, sessions:Array.from(conn.allowed) }));
+      if (verified) {
+        attach(conn, verified, initial).catch((e) => { console.error('[wsHub] attach failed', e?.message || e); try { ws.close(1011, 'internal error'); } catch {} });
+      } else {
+        conn.authTimer = setTimeout(() => { if (!conn.uid) closeAuth(conn, 4401, 'auth timeout'); }, auth.firstMessageTimeoutMs);
+      }
     });
   });
 
+  // Revoked tokens and disabled users: verifyIdToken only sees them on the next refresh, so look
+  // them up periodically (one getUser per distinct uid) and close with 4410.
+  async function checkRevoked() {
+    const byUid = new Map();
+    for (const c of conns) if (c.uid) byUid.set(c.uid, [...(byUid.get(c.uid) || []), c]);
+    for (const [uid, list] of byUid) {
+      let user;
+      try {
+        user = await authAdmin.getUser(uid);
+      } catch (e) {
+        if (e?.code !== 'auth/user-not-found') continue; // transient: try again next round
+        user = { disabled: true };
+      }
+      const validAfter = user.tokensValidAfterTime ? Date.parse(user.tokensValidAfterTime) : 0;
+      for (const c of list) {
+        if (user.disabled) closeAuth(c, 4410, 'user disabled');
+        else if (validAfter && c.authTime < validAfter) closeAuth(c, 4410, 'token revoked');
+      }
+    }
+  }
+  const revocationTimer = auth.revocationCheckMs > 0
+    ? setInterval(() => { checkRevoked().catch((e) => console.error('[wsHub] revocation check failed', e?.message || e)); }, auth.revocationCheckMs)
+    : null;
+
   // heartbeat cleanup
-  setInterval(() => {
+  const heartbeat = setInterval(() => {
     for (const c of conns) {
-      if (!c.alive) { try { c.ws.terminate(); } catch {} conns.delete(c); try { c.unsub?.(); } catch {} continue; }
+      if (!c.alive) { try { c.ws.terminate(); } catch {} release(c); continue; }
       c.alive = false;
       try { c.ws.ping(); } catch {}
     }
   }, 30000);
+
+  // Shutdown, step 1: refuse new upgrades (existing sockets keep streaming).
+  function stopAccepting() { accepting = false; }
+
+  // Shutdown, last step: detach from the bus and close every socket (1001 = going away).
+  function close(code = 1001, reason = 'server shutting down') {
+    accepting = false;
+    clearInterval(heartbeat);
+    clearInterval(revocationTimer);
+    sessions.off('evt', push);
+    for (const c of conns) {
+      release(c);
+      try { c.ws.close(code, reason); } catch {}
+    }
+    conns.clear();
+    wss.close();
+  }
+
+  // Aggregate counters for /healthz/ws.
+  function stats() {
+    let queued = 0;
+    let queuedBytes = 0;
+    let backed = 0;
+    for (const c of conns) {
+      queued += c.queue.length;
+      queuedBytes += c.queuedBytes;
+      if (backedUp(c)) backed++;
+    }
+    return { connections: conns.size, backedUp: backed, queued, queuedBytes, ...counters, droppedByType: { ...counters.droppedByType }, authCloses: { ...counters.authCloses } };
+  }
+
+  return { stopAccepting, close, stats };
 }
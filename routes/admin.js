@@ -1,6 +1,6 @@
 import { Router } from 'express';
 
-export function buildAdminRouter({ db, meta, rbac, requireUser }) {
+export function buildAdminRouter({ db, meta, rbac, archiver, requireUser }) {
   const r = Router();
 
   // Server self-assign to account.wsServer
@@ -37,5 +37,20 @@ export function buildAdminRouter({ db, meta, rbac, requireUser }) {
     res.json({ ok: true, accountId, wsServer: { ip, instance: name, zone, project, labels } });
   });
 
+  // Import existing chat history into the message archive (runs in the background).
+  r.post('/admin/archive/backfill', requireUser, async (req, res) => {
+    const { accountId, label } = req.body || {};
+    if (!accountId || !label) return res.status(400).json({ error: 'accountId, label required' });
+
+    const role = await rbac.getRole(accountId, req.user.uid);
+    if (role !== 'Administrator') return res.status(403).json({ error: 'not an Administrator' });
+    if (!archiver?.enabled) return res.status(409).json({ error: 'archive disabled' });
+
+    archiver.backfill({ accountId, label })
+      .then((out) => console.log('[archiver] backfill done', accountId, label, out))
+      .catch((e) => console.error('[archiver] backfill failed', accountId, label, e?.message || e));
+    res.status(202).json({ ok: true, started: true, ...archiver.status() });
+  });
+
   return r;
 }
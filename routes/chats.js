@@ -1,4 +1,6 @@
 import { Router } from 'express';
+import { CHAT_ACTION_NAMES } from '../lib/session/chats.js';
+import { sendError } from './respond.js';
 
 export function buildChatsRouter({ sessions, requireUser, ensureAllowed }) {
   const r = Router();
@@ -12,7 +14,7 @@ export function buildChatsRouter({ sessions, requireUser, ensureAllowed }) {
     const allowed = await ensureAllowed(req, res, accountId, label);
     if (!allowed) return;
 
-    const st = sessions.status({ accountId, label });
+    const st = await sessions.ensureAwake({ accountId, label });
     if (st !== 'ready') return res.status(409).json({ error: 'session not ready', status: st || null });
 
     try {
@@ -34,7 +36,7 @@ export function buildChatsRouter({ sessions, requireUser, ensureAllowed }) {
     const allowed = await ensureAllowed(req, res, accountId, label);
     if (!allowed) return;
 
-    const st = sessions.status({ accountId, label });
+    const st = await sessions.ensureAwake({ accountId, label });
     if (st !== 'ready') return res.status(409).json({ error: 'session not ready', status: st || null });
 
     try {
@@ -55,7 +57,7 @@ export function buildChatsRouter({ sessions, requireUser, ensureAllowed }) {
     const allowed = await ensureAllowed(req, res, accountId, label);
     if (!allowed) return;
 
-    const st = sessions.status({ accountId, label });
+    const st = await sessions.ensureAwake({ accountId, label });
     if (st !== 'ready') return res.status(409).json({ error: 'session not ready', status: st || null });
 
     try {
@@ -73,5 +75,50 @@ export function buildChatsRouter({ sessions, requireUser, ensureAllowed }) {
     }
   });
 
+  // Chat actions: POST /chats/archive | unarchive | pin | unpin | mute | unmute | markSeen | markUnread | clear | delete
+  // Body: { accountId, label, chatId, durationMs? | until? (mute only) } → broadcast as chat_updated
+  for (const action of CHAT_ACTION_NAMES) {
+    r.post(`/chats/${action}`, requireUser, async (req, res) => {
+      const { accountId, label, chatId, durationMs = null, until = null } = req.body || {};
+      if (!accountId || !label || !chatId) return res.status(400).json({ error: 'accountId, label, chatId required' });
+
+      const allowed = await ensureAllowed(req, res, accountId, label);
+      if (!allowed) return;
+
+      const st = await sessions.ensureAwake({ accountId, label });
+      if (st !== 'ready') return res.status(409).json({ error: 'session not ready', status: st || null });
+
+      try {
+        const out = await sessions.chatAction({ accountId, label, chatId, action, durationMs, until });
+        res.json({ ok: true, ...out });
+      } catch (e) {
+        sendError(res, e, 'chat_action_failed');
+      }
+    });
+  }
+
+  // Message history, paging backwards. ?before=<messageId | unix ts | ISO date>&limit=50
+  // Follow nextBefore from each response to walk further back.
+  r.get('/chats/:chatId/messages', requireUser, async (req, res) => {
+    const accountId = String(req.query.accountId || '');
+    const label = String(req.query.label || '');
+    const chatId = String(req.params.chatId || '');
+    const before = req.query.before ? String(req.query.before) : null;
+    if (!accountId || !label || !chatId) return res.status(400).json({ error: 'accountId, label, chatId required' });
+
+    const allowed = await ensureAllowed(req, res, accountId, label);
+    if (!allowed) return;
+
+    const st = await sessions.ensureAwake({ accountId, label });
+    if (st !== 'ready') return res.status(409).json({ error: 'session not ready', status: st || null });
+
+    try {
+      const page = await sessions.getChatMessages({ accountId, label, chatId, before, limit: req.query.limit });
+      res.json({ ok: true, ...page });
+    } catch (e) {
+      sendError(res, e, 'chat_messages_failed');
+    }
+  });
+
   return r;
 }
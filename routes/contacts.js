@@ -1,6 +1,7 @@
 // routes/contacts.js
 import { Router } from 'express';
 import { FieldValue } from 'firebase-admin/firestore';
+import { sendError } from './respond.js';
 
 /* ===============================
  * Session-scoped Firestore paths
@@ -202,7 +203,7 @@ export function buildContactsRouter({ db, sessions, requireUser, ensureAllowed }
     const allowed = await ensureAllowed(req, res, accountId, label);
     if (!allowed) return;
 
-    const st = sessions.status({ accountId, label });
+    const st = await sessions.ensureAwake({ accountId, label });
     if (st !== 'ready') return res.status(409).json({ error: 'session not ready', status: st || null });
 
     try {
@@ -254,7 +255,7 @@ export function buildContactsRouter({ db, sessions, requireUser, ensureAllowed }
     const allowed = await ensureAllowed(req, res, accountId, label);
     if (!allowed) return;
 
-    const st = sessions.status({ accountId, label });
+    const st = await sessions.ensureAwake({ accountId, label });
     if (st !== 'ready') return res.status(409).json({ error: 'session not ready', status: st || null });
 
     try {
@@ -404,5 +405,53 @@ export function buildContactsRouter({ db, sessions, requireUser, ensureAllowed }
     }
   });
 
+  /* ----------------------------------------------------------------
+   * GET /contacts/blocked?accountId&label
+   * Blocked contacts for the session (also refreshes the session-doc mirror).
+   * ---------------------------------------------------------------- */
+  r.get('/contacts/blocked', requireUser, async (req, res) => {
+    const accountId = String(req.query.accountId || '');
+    const label = String(req.query.label || '');
+    if (!accountId || !label) return res.status(400).json({ error: 'accountId, label required' });
+
+    const allowed = await ensureAllowed(req, res, accountId, label);
+    if (!allowed) return;
+
+    const st = await sessions.ensureAwake({ accountId, label });
+    if (st !== 'ready') return res.status(409).json({ error: 'session not ready', status: st || null });
+
+    try {
+      const blocked = await sessions.listBlocked({ accountId, label });
+      res.json({ ok: true, count: blocked.length, blocked });
+    } catch (e) {
+      res.status(500).json({ error: 'blocked_list_failed', detail: String(e?.message || e) });
+    }
+  });
+
+  /* ----------------------------------------------------------------
+   * POST /contacts/block | /contacts/unblock
+   * Body: { accountId, label, contactId: number | waId }
+   * Broadcasts blocklist_updated; the bot ignores blocked senders.
+   * ---------------------------------------------------------------- */
+  for (const [path, blocked] of [['/contacts/block', true], ['/contacts/unblock', false]]) {
+    r.post(path, requireUser, async (req, res) => {
+      const { accountId, label, contactId } = req.body || {};
+      if (!accountId || !label || !contactId) return res.status(400).json({ error: 'accountId, label, contactId required' });
+
+      const allowed = await ensureAllowed(req, res, accountId, label);
+      if (!allowed) return;
+
+      const st = await sessions.ensureAwake({ accountId, label });
+      if (st !== 'ready') return res.status(409).json({ error: 'session not ready', status: st || null });
+
+      try {
+        const out = await sessions.setBlocked({ accountId, label, contactId, blocked });
+        res.json({ ok: true, ...out });
+      } catch (e) {
+        sendError(res, e, blocked ? 'block_failed' : 'unblock_failed');
+      }
+    });
+  }
+
   return r;
 }
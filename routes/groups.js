@@ -0,0 +1,106 @@
+import { Router } from 'express';
+import { PARTICIPANT_ACTION_NAMES } from '../lib/session/groups.js';
+import { makeRunOnReady } from './respond.js';
+
+export function buildGroupsRouter({ sessions, requireUser, ensureAllowed }) {
+  const r = Router();
+
+  // Common path: authorize, require a ready session, map errors (400 input / 404 / 409 refused by WhatsApp).
+  const run = makeRunOnReady({ sessions, ensureAllowed });
+
+  // Create. Body: { accountId, label, title, participants?: [number|waId], options? }
+  r.post('/groups/create', requireUser, async (req, res) => {
+    const { accountId, label, title, participants = [], options = {} } = req.body || {};
+    if (!accountId || !label || !title) return res.status(400).json({ error: 'accountId, label, title required' });
+    await run(req, res, { accountId, label },
+      () => sessions.createGroup({ accountId, label, title, participants, options }), 'group_create_failed');
+  });
+
+  // Join by invite. Body: { accountId, label, invite: "<code>" | "https://chat.whatsapp.com/<code>" }
+  r.post('/groups/join', requireUser, async (req, res) => {
+    const { accountId, label, invite } = req.body || {};
+    if (!accountId || !label || !invite) return res.status(400).json({ error: 'accountId, label, invite required' });
+    await run(req, res, { accountId, label },
+      () => sessions.joinGroupByInvite({ accountId, label, invite }), 'group_join_failed');
+  });
+
+  // Info + participants with admin flags
+  r.get('/groups/:groupId', requireUser, async (req, res) => {
+    const accountId = String(req.query.accountId || '');
+    const label = String(req.query.label || '');
+    const groupId = String(req.params.groupId || '');
+    if (!accountId || !label || !groupId) return res.status(400).json({ error: 'accountId, label, groupId required' });
+    await run(req, res, { accountId, label },
+      () => sessions.getGroup({ accountId, label, groupId }), 'group_lookup_failed');
+  });
+
+  // Participants: POST /groups/participants/add | remove | promote | demote
+  // Body: { accountId, label, groupId, participants: [number|waId], options? (add only) }
+  for (const action of PARTICIPANT_ACTION_NAMES) {
+    r.post(`/groups/participants/${action}`, requireUser, async (req, res) => {
+      const { accountId, label, groupId, participants, options = {} } = req.body || {};
+      if (!accountId || !label || !groupId || !Array.isArray(participants) || !participants.length) {
+        return res.status(400).json({ error: 'accountId, label, groupId, participants[] required' });
+      }
+      await run(req, res, { accountId, label },
+        () => sessions.updateGroupParticipants({ accountId, label, groupId, action, participants, options }),
+        'group_participants_failed');
+    });
+  }
+
+  // Subject. Body: { accountId, label, groupId, subject }
+  r.post('/groups/subject', requireUser, async (req, res) => {
+    const { accountId, label, groupId, subject } = req.body || {};
+    if (!accountId || !label || !groupId || !subject) return res.status(400).json({ error: 'accountId, label, groupId, subject required' });
+    await run(req, res, { accountId, label },
+      () => sessions.setGroupSubject({ accountId, label, groupId, subject }), 'group_update_failed');
+  });
+
+  // Description ("" clears it). Body: { accountId, label, groupId, description }
+  r.post('/groups/description', requireUser, async (req, res) => {
+    const { accountId, label, groupId, description } = req.body || {};
+    if (!accountId || !label || !groupId || typeof description !== 'string') {
+      return res.status(400).json({ error: 'accountId, label, groupId, description required' });
+    }
+    await run(req, res, { accountId, label },
+      () => sessions.setGroupDescription({ accountId, label, groupId, description }), 'group_update_failed');
+  });
+
+  // Picture. Body: { accountId, label, groupId, media } — same media shapes as /messages/sendMedia; media: null removes it
+  r.post('/groups/picture', requireUser, async (req, res) => {
+    const { accountId, label, groupId, media } = req.body || {};
+    if (!accountId || !label || !groupId || media === undefined) {
+      return res.status(400).json({ error: 'accountId, label, groupId, media required' });
+    }
+    await run(req, res, { accountId, label },
+      () => sessions.setGroupPicture({ accountId, label, groupId, media }), 'group_update_failed');
+  });
+
+  // Settings. Body: { accountId, label, groupId, settings: { messagesAdminsOnly?, infoAdminsOnly?, addMembersAdminsOnly? } }
+  r.post('/groups/settings', requireUser, async (req, res) => {
+    const { accountId, label, groupId, settings } = req.body || {};
+    if (!accountId || !label || !groupId || !settings) return res.status(400).json({ error: 'accountId, label, groupId, settings required' });
+    await run(req, res, { accountId, label },
+      () => sessions.setGroupSettings({ accountId, label, groupId, settings }), 'group_update_failed');
+  });
+
+  // Invite link
+  r.get('/groups/:groupId/invite', requireUser, async (req, res) => {
+    const accountId = String(req.query.accountId || '');
+    const label = String(req.query.label || '');
+    const groupId = String(req.params.groupId || '');
+    if (!accountId || !label || !groupId) return res.status(400).json({ error: 'accountId, label, groupId required' });
+    await run(req, res, { accountId, label },
+      () => sessions.getGroupInvite({ accountId, label, groupId }), 'group_invite_failed');
+  });
+
+  // Revoke the current invite link and get a new one. Body: { accountId, label, groupId }
+  r.post('/groups/invite/revoke', requireUser, async (req, res) => {
+    const { accountId, label, groupId } = req.body || {};
+    if (!accountId || !label || !groupId) return res.status(400).json({ error: 'accountId, label, groupId required' });
+    await run(req, res, { accountId, label },
+      () => sessions.revokeGroupInvite({ accountId, label, groupId }), 'group_invite_failed');
+  });
+
+  return r;
+}
@@ -1,9 +1,15 @@
 import { Router } from 'express';
 
-export function buildHealthRouter() {
+export function buildHealthRouter({ wsStats = null } = {}) {
   const r = Router();
   r.get('/healthz', (_req, res) => {
     res.json({ ok: true, ts: Date.now() });
   });
+
+  // WebSocket hub: connections, queued events and slow-consumer counters.
+  r.get('/healthz/ws', (_req, res) => {
+    if (!wsStats) return res.status(404).json({ error: 'ws hub not available' });
+    res.json({ ok: true, ts: Date.now(), ...wsStats() });
+  });
   return r;
 }
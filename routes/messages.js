@@ -1,47 +1,339 @@
 import { Router } from 'express';
+import outboundCfg from '../config/outboundConfig.js';
+import { fingerprintOf } from '../lib/idempotency.js';
+import { chatIdFromMessageId } from '../lib/session/messages.js';
+import { makeRunOnReady, sendError } from './respond.js';
 
-export function buildMessagesRouter({ sessions, requireUser, ensureAllowed }) {
+export function buildMessagesRouter({ sessions, sendQueue, idempotency, scheduler, requireUser, ensureAllowed }) {
   const r = Router();
+  const runOnReady = makeRunOnReady({ sessions, ensureAllowed });
 
-  // Send text
-  r.post('/messages/send', requireUser, async (req, res) => {
-    const { accountId, label, to, text, options = {} } = req.body || {};
-    if (!accountId || !label || !to || !text) {
-      return res.status(400).json({ error: 'accountId, label, to, text required' });
+  // Enqueue and wait for the send, answering { ok, jobId, id, timestamp } like a direct send.
+  // Opt-in `async: true`: past outboundCfg.waitMs answer 202 { queued, jobId } instead of waiting;
+  // the outcome then arrives as outbound_sent / outbound_failed on the event stream.
+  // Without it, a send still queued after outboundCfg.syncMaxWaitMs gets a 504 with the jobId.
+  // With an idempotencyKey, a repeated request replays the first result instead of sending again.
+  async function enqueueAndWait(res, job, { route, idempotencyKey = null, async: isAsync = false } = {}) {
+    const scope = { accountId: job.accountId, label: job.label, key: String(idempotencyKey) };
+
+    if (idempotencyKey) {
+      const claim = await idempotency.begin({ ...scope, fingerprint: fingerprintOf(route, job) });
+      if (claim.state === 'conflict') {
+        return res.status(422).json({ error: 'idempotencyKey already used with a different payload' });
+      }
+      if (claim.state === 'done') {
+        return res.json({ ok: true, replayed: true, id: claim.result?.id || null, timestamp: claim.result?.timestamp || null });
+      }
+      if (claim.state === 'pending') {
+        // jobId is only attached after the enqueue; it is deterministic, so look the job up either way
+        const prevJobId = claim.jobId || idempotency.jobIdFor(idempotencyKey);
+        const prev = await sendQueue.getJob({ accountId: job.accountId, label: job.label, jobId: prevJobId });
+        if (prev?.status === 'unknown') {
+          return res.status(409).json({ error: 'delivery of the earlier attempt is unknown', jobId: prevJobId });
+        }
+        if (prev?.status === 'sent') {
+          const result = { id: prev.waMessageId, timestamp: prev.waTimestamp };
+          await idempotency.complete({ ...scope, result });
+          return res.json({ ok: true, replayed: true, jobId: prevJobId, ...result });
+        }
+        if (prev && !['failed', 'cancelled'].includes(prev.status)) {
+          return res.status(202).json({ ok: true, queued: true, replayed: true, jobId: prevJobId, position: prev.position });
+        }
+        // No live job: the earlier request is between claim and enqueue, is releasing the key right
+        // now, or died without releasing it. Only the last case may start over, and only once.
+        const stale = claim.createdAt != null && Date.now() - claim.createdAt > outboundCfg.idempotencyStaleMs;
+        if (!stale) {
+          return res.status(409).json({ error: 'an earlier request with this idempotencyKey is still in flight', jobId: prevJobId });
+        }
+        if (!(await idempotency.takeOver({ ...scope, createdAt: claim.createdAt }))) {
+          return enqueueAndWait(res, job, { route, idempotencyKey, async: isAsync }); // claim changed: read it again
+        }
+      }
+      job = { ...job, jobId: idempotency.jobIdFor(idempotencyKey) };
+    }
+
+    let queued;
+    try {
+      queued = await sendQueue.enqueue(job);
+    } catch (e) {
+      if (idempotencyKey) await idempotency.fail(scope); // nothing was queued: free the key for a retry
+      throw e;
+    }
+    const { jobId, position, done } = queued;
+    if (idempotencyKey) {
+      await idempotency.attachJob({ ...scope, jobId });
+      done.then(
+        (result) => idempotency.complete({ ...scope, result }),
+        // delivery unknown keeps the key (and its jobId) so a retry can't send a second copy
+        (e) => (e?.deliveryUnknown ? null : idempotency.fail(scope)),
+      ).catch((e) => console.error('[messages] idempotency update failed', e));
+    }
+
+    let timer = null;
+    const waitMs = isAsync ? outboundCfg.waitMs : outboundCfg.syncMaxWaitMs;
+    const timeout = new Promise((resolve) => { timer = setTimeout(() => resolve(null), waitMs); });
+    try {
+      const result = await Promise.race([done, timeout]);
+      if (!result && isAsync) return res.status(202).json({ ok: true, queued: true, jobId, position });
+      if (!result) return res.status(504).json({ error: 'send still queued', jobId });
+      res.json({ ok: true, jobId, id: result.id || null, timestamp: result.timestamp || Date.now() });
+    } finally {
+      clearTimeout(timer);
     }
+  }
 
+  // Every send goes through the queue: authorize, check the session, enqueue and wait, then map
+  // input errors found at send time to 400 / missing messages to 404 / refused ops to 409.
+  async function sendQueued(req, res, job, { route = job.kind, idempotencyKey = null, async: isAsync = false } = {}) {
+    const { accountId, label } = job;
     const allowed = await ensureAllowed(req, res, accountId, label);
     if (!allowed) return;
 
-    const st = sessions.status({ accountId, label });
-    if (st !== 'ready') return res.status(409).json({ error: 'session not ready', status: st || null });
+    // queued sends are accepted while the session reconnects; waiting ones need it ready now
+    const st = await sessions.ensureAwake({ accountId, label });
+    const ok = isAsync ? sendQueue.accepts(st) : st === 'ready';
+    if (!ok) return res.status(409).json({ error: 'session not ready', status: st || null });
 
     try {
-      const msg = await sessions.sendText({ accountId, label, to, text, options });
-      res.json({ ok: true, id: msg?.id?._serialized || null, timestamp: msg?.timestamp || Date.now() });
+      await enqueueAndWait(res, { priority: 'normal', source: 'api', ...job }, { route, idempotencyKey, async: !!isAsync });
     } catch (e) {
-      res.status(500).json({ error: 'send failed', detail: String(e?.message || e) });
+      sendError(res, e, 'send failed');
     }
+  }
+
+  // Send text
+  r.post('/messages/send', requireUser, async (req, res) => {
+    const { accountId, label, to, text, options = {}, priority = 'normal', idempotencyKey = null, async: isAsync = false } = req.body || {};
+    if (!accountId || !label || !to || !text) {
+      return res.status(400).json({ error: 'accountId, label, to, text required' });
+    }
+    await sendQueued(req, res, { accountId, label, kind: 'text', to, text, options, priority }, { route: 'send', idempotencyKey, async: isAsync });
   });
 
   // Send media
   r.post('/messages/sendMedia', requireUser, async (req, res) => {
-    const { accountId, label, to, media, options = {} } = req.body || {};
+    const { accountId, label, to, media, options = {}, priority = 'normal', idempotencyKey = null, async: isAsync = false } = req.body || {};
     if (!accountId || !label || !to || !media) {
       return res.status(400).json({ error: 'accountId, label, to, media required' });
     }
+    await sendQueued(req, res, { accountId, label, kind: 'media', to, media, options, priority }, { route: 'sendMedia', idempotencyKey, async: isAsync });
+  });
+
+  // Quoted reply. Body: { accountId, label, quotedMessageId, text, to?, mentions?, options? }
+  r.post('/messages/reply', requireUser, async (req, res) => {
+    const { accountId, label, to = null, quotedMessageId, text, mentions = [], options = {}, priority = 'normal', async: isAsync = false } = req.body || {};
+    const chat = to || chatIdFromMessageId(quotedMessageId); // defaults to the quoted message's chat
+    if (!accountId || !label || !quotedMessageId || !text || !chat) {
+      return res.status(400).json({ error: 'accountId, label, quotedMessageId, text required (to if the id carries no chat)' });
+    }
+    await sendQueued(req, res, {
+      accountId, label, kind: 'reply', to: chat, priority,
+      params: { quotedMessageId: String(quotedMessageId), text: String(text), mentions, options },
+    }, { async: isAsync });
+  });
+
+  // Text with @mentions. Body: { accountId, label, to, text?, mentions: [number|waId], options? }
+  r.post('/messages/mention', requireUser, async (req, res) => {
+    const { accountId, label, to, text = '', mentions, options = {}, priority = 'normal', async: isAsync = false } = req.body || {};
+    if (!accountId || !label || !to || !Array.isArray(mentions) || !mentions.length) {
+      return res.status(400).json({ error: 'accountId, label, to, mentions[] required' });
+    }
+    await sendQueued(req, res, { accountId, label, kind: 'mention', to, priority, params: { text, mentions, options } }, { async: isAsync });
+  });
+
+  // Location pin. Body: { accountId, label, to, latitude, longitude, name?, address?, url? }
+  r.post('/messages/location', requireUser, async (req, res) => {
+    const { accountId, label, to, latitude, longitude, name = null, address = null, url = null, options = {}, priority = 'normal', async: isAsync = false } = req.body || {};
+    if (!accountId || !label || !to || latitude == null || longitude == null) {
+      return res.status(400).json({ error: 'accountId, label, to, latitude, longitude required' });
+    }
+    await sendQueued(req, res, {
+      accountId, label, kind: 'location', to, priority,
+      params: { latitude, longitude, name, address, url, options },
+    }, { async: isAsync });
+  });
+
+  // Contact card(s). Body: { accountId, label, to, contacts?: [number|waId], vcard?: "BEGIN:VCARD..." }
+  r.post('/messages/contactCard', requireUser, async (req, res) => {
+    const { accountId, label, to, contacts = [], vcard = null, options = {}, priority = 'normal', async: isAsync = false } = req.body || {};
+    if (!accountId || !label || !to || (!vcard && !(Array.isArray(contacts) && contacts.length))) {
+      return res.status(400).json({ error: 'accountId, label, to, contacts[] or vcard required' });
+    }
+    await sendQueued(req, res, { accountId, label, kind: 'contactCard', to, priority, params: { contacts, vcard, options } }, { async: isAsync });
+  });
+
+  // Poll. Body: { accountId, label, to, question, options: [..], allowMultipleAnswers? }
+  r.post('/messages/poll', requireUser, async (req, res) => {
+    const { accountId, label, to, question, options, allowMultipleAnswers = false, priority = 'normal', async: isAsync = false } = req.body || {};
+    if (!accountId || !label || !to || !question || !Array.isArray(options)) {
+      return res.status(400).json({ error: 'accountId, label, to, question, options[] required' });
+    }
+    await sendQueued(req, res, {
+      accountId, label, kind: 'poll', to, priority,
+      params: { question, options, allowMultipleAnswers: !!allowMultipleAnswers },
+    }, { async: isAsync });
+  });
+
+  // Forward to another chat (a new message there, so it is paced too). Body: { accountId, label, messageId, to }
+  r.post('/messages/forward', requireUser, async (req, res) => {
+    const { accountId, label, messageId, to, priority = 'normal', async: isAsync = false } = req.body || {};
+    if (!accountId || !label || !messageId || !to) {
+      return res.status(400).json({ error: 'accountId, label, messageId, to required' });
+    }
+    await sendQueued(req, res, { accountId, label, kind: 'forward', to, priority, params: { messageId: String(messageId) } }, { async: isAsync });
+  });
+
+  // Ops on existing messages (react, edit, revoke, star) send nothing new, so they skip the queue:
+  // validate, authorize, require a ready session, then map errors like sendQueued.
+  const sendNow = (req, res, meta, fn) => runOnReady(req, res, meta, fn, 'send failed');
+
+  // Emoji reaction; emoji "" removes it. Body: { accountId, label, messageId, emoji }
+  r.post('/messages/react', requireUser, async (req, res) => {
+    const { accountId, label, messageId, emoji } = req.body || {};
+    if (!accountId || !label || !messageId || typeof emoji !== 'string') {
+      return res.status(400).json({ error: 'accountId, label, messageId, emoji required' });
+    }
+    await sendNow(req, res, { accountId, label },
+      () => sessions.react({ accountId, label, messageId, emoji }));
+  });
+
+  // Edit one of our text messages. Body: { accountId, label, messageId, text }
+  r.post('/messages/edit', requireUser, async (req, res) => {
+    const { accountId, label, messageId, text, options = {} } = req.body || {};
+    if (!accountId || !label || !messageId || !text) {
+      return res.status(400).json({ error: 'accountId, label, messageId, text required' });
+    }
+    await sendNow(req, res, { accountId, label },
+      () => sessions.editMessage({ accountId, label, messageId, text, options }));
+  });
+
+  // Delete for me (default) or revoke for everyone. Body: { accountId, label, messageId, everyone? }
+  r.post('/messages/revoke', requireUser, async (req, res) => {
+    const { accountId, label, messageId, everyone = false } = req.body || {};
+    if (!accountId || !label || !messageId) {
+      return res.status(400).json({ error: 'accountId, label, messageId required' });
+    }
+    await sendNow(req, res, { accountId, label },
+      () => sessions.revokeMessage({ accountId, label, messageId, everyone: everyone === true }));
+  });
+
+  // Star / unstar. Body: { accountId, label, messageId, starred?: true }
+  r.post('/messages/star', requireUser, async (req, res) => {
+    const { accountId, label, messageId, starred = true } = req.body || {};
+    if (!accountId || !label || !messageId) {
+      return res.status(400).json({ error: 'accountId, label, messageId required' });
+    }
+    await sendNow(req, res, { accountId, label },
+      () => sessions.starMessage({ accountId, label, messageId, starred: starred !== false }));
+  });
+
+  // Queue status: pending jobs (in dispatch order) + recently finished ones
+  r.get('/messages/queue', requireUser, async (req, res) => {
+    const accountId = String(req.query.accountId || '');
+    const label = String(req.query.label || '');
+    if (!accountId || !label) return res.status(400).json({ error: 'accountId, label required' });
+
+    const allowed = await ensureAllowed(req, res, accountId, label);
+    if (!allowed) return;
+
+    try {
+      res.json({ ok: true, ...(await sendQueue.status({ accountId, label })) });
+    } catch (e) {
+      res.status(500).json({ error: 'queue_status_failed', detail: String(e?.message || e) });
+    }
+  });
+
+  // Single job
+  r.get('/messages/queue/:jobId', requireUser, async (req, res) => {
+    const accountId = String(req.query.accountId || '');
+    const label = String(req.query.label || '');
+    const jobId = String(req.params.jobId || '');
+    if (!accountId || !label || !jobId) return res.status(400).json({ error: 'accountId, label, jobId required' });
+
+    const allowed = await ensureAllowed(req, res, accountId, label);
+    if (!allowed) return;
+
+    try {
+      const job = await sendQueue.getJob({ accountId, label, jobId });
+      if (!job) return res.status(404).json({ error: 'job not found' });
+      res.json({ ok: true, job });
+    } catch (e) {
+      res.status(500).json({ error: 'queue_job_failed', detail: String(e?.message || e) });
+    }
+  });
+
+  // Cancel a job that hasn't been sent yet
+  r.post('/messages/queue/cancel', requireUser, async (req, res) => {
+    const { accountId, label, jobId } = req.body || {};
+    if (!accountId || !label || !jobId) return res.status(400).json({ error: 'accountId, label, jobId required' });
+
+    const allowed = await ensureAllowed(req, res, accountId, label);
+    if (!allowed) return;
+
+    try {
+      const out = await sendQueue.cancel({ accountId, label, jobId: String(jobId) });
+      if (!out.ok) return res.status(out.reason === 'not_found' ? 404 : 409).json({ error: out.reason });
+      res.json({ ok: true, jobId });
+    } catch (e) {
+      res.status(500).json({ error: 'queue_cancel_failed', detail: String(e?.message || e) });
+    }
+  });
+
+  // Schedule a text or media send at a local time
+  // Body: { accountId, label, to, text? | media?, options?, sendAt: "2025-03-01T09:30", timezone?: "America/Mexico_City" }
+  r.post('/messages/schedule', requireUser, async (req, res) => {
+    const { accountId, label, to, text = null, media = null, options = {}, sendAt, timezone = null } = req.body || {};
+    if (!accountId || !label || !to || !sendAt || (!text && !media)) {
+      return res.status(400).json({ error: 'accountId, label, to, sendAt, text or media required' });
+    }
+
+    const allowed = await ensureAllowed(req, res, accountId, label);
+    if (!allowed) return;
+
+    try {
+      const schedule = await scheduler.create({
+        accountId, label, to, text, media, options, sendAt, timezone, createdBy: req.user.uid,
+      });
+      res.json({ ok: true, schedule });
+    } catch (e) {
+      if (/too large/.test(String(e?.message))) return res.status(413).json({ error: 'invalid schedule', detail: String(e.message) });
+      const invalid = e instanceof RangeError || /sendAt|invalid|required/.test(String(e?.message));
+      res.status(invalid ? 400 : 500).json({ error: invalid ? 'invalid schedule' : 'schedule_failed', detail: String(e?.message || e) });
+    }
+  });
+
+  // List schedules (optionally by status)
+  r.get('/messages/schedule', requireUser, async (req, res) => {
+    const accountId = String(req.query.accountId || '');
+    const label = String(req.query.label || '');
+    const status = req.query.status ? String(req.query.status) : null;
+    if (!accountId || !label) return res.status(400).json({ error: 'accountId, label required' });
 
     const allowed = await ensureAllowed(req, res, accountId, label);
     if (!allowed) return;
 
-    const st = sessions.status({ accountId, label });
-    if (st !== 'ready') return res.status(409).json({ error: 'session not ready', status: st || null });
+    try {
+      const schedules = await scheduler.list({ accountId, label, status, limit: req.query.limit });
+      res.json({ ok: true, count: schedules.length, schedules });
+    } catch (e) {
+      res.status(500).json({ error: 'schedule_list_failed', detail: String(e?.message || e) });
+    }
+  });
+
+  // Cancel a schedule that hasn't fired yet
+  r.post('/messages/schedule/cancel', requireUser, async (req, res) => {
+    const { accountId, label, id } = req.body || {};
+    if (!accountId || !label || !id) return res.status(400).json({ error: 'accountId, label, id required' });
+
+    const allowed = await ensureAllowed(req, res, accountId, label);
+    if (!allowed) return;
 
     try {
-      const msg = await sessions.sendMedia({ accountId, label, to, media, options });
-      res.json({ ok: true, id: msg?.id?._serialized || null, timestamp: msg?.timestamp || Date.now() });
+      const out = await scheduler.cancel({ accountId, label, id: String(id) });
+      if (!out.ok) return res.status(out.reason === 'not_found' ? 404 : 409).json({ error: out.reason });
+      res.json({ ok: true, id });
     } catch (e) {
-      res.status(500).json({ error: 'send failed', detail: String(e?.message || e) });
+      res.status(500).json({ error: 'schedule_cancel_failed', detail: String(e?.message || e) });
     }
   });
 
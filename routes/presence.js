@@ -0,0 +1,35 @@
+import { Router } from 'express';
+import { makeRunOnReady } from './respond.js';
+
+const CHAT_STATES = {
+  typing: 'sendStateTyping',
+  recording: 'sendStateRecording',
+  paused: 'clearState',
+};
+
+export function buildPresenceRouter({ sessions, requireUser, ensureAllowed }) {
+  const r = Router();
+
+  const run = makeRunOnReady({ sessions, ensureAllowed });
+
+  // Chat state. Body: { accountId, label, chatId, state: 'typing' | 'recording' | 'paused' }
+  r.post('/presence/chat', requireUser, async (req, res) => {
+    const { accountId, label, chatId, state } = req.body || {};
+    const method = CHAT_STATES[state];
+    if (!accountId || !label || !chatId || !method) {
+      return res.status(400).json({ error: `accountId, label, chatId, state (${Object.keys(CHAT_STATES).join('|')}) required` });
+    }
+    await run(req, res, { accountId, label }, () => sessions[method]({ accountId, label, chatId }), 'presence_failed');
+  });
+
+  // Online / offline. Body: { accountId, label, online: boolean }
+  r.post('/presence', requireUser, async (req, res) => {
+    const { accountId, label, online } = req.body || {};
+    if (!accountId || !label || typeof online !== 'boolean') {
+      return res.status(400).json({ error: 'accountId, label, online (boolean) required' });
+    }
+    await run(req, res, { accountId, label }, () => sessions.setPresence({ accountId, label, online }), 'presence_failed');
+  });
+
+  return r;
+}
@@ -0,0 +1,40 @@
+import { Router } from 'express';
+import { makeRunOnReady } from './respond.js';
+
+export function buildProfileRouter({ sessions, requireUser, ensureAllowed }) {
+  const r = Router();
+
+  const runOnReady = makeRunOnReady({ sessions, ensureAllowed });
+  const run = (req, res, meta, fn) => runOnReady(req, res, meta, async () => ({ profile: await fn() }), 'profile_failed');
+
+  // Current profile of the session's own number (also refreshes the registry mirror)
+  r.get('/profile', requireUser, async (req, res) => {
+    const accountId = String(req.query.accountId || '');
+    const label = String(req.query.label || '');
+    if (!accountId || !label) return res.status(400).json({ error: 'accountId, label required' });
+    await run(req, res, { accountId, label }, () => sessions.getProfile({ accountId, label }));
+  });
+
+  // Display name. Body: { accountId, label, displayName }
+  r.post('/profile/name', requireUser, async (req, res) => {
+    const { accountId, label, displayName } = req.body || {};
+    if (!accountId || !label || !displayName) return res.status(400).json({ error: 'accountId, label, displayName required' });
+    await run(req, res, { accountId, label }, () => sessions.setDisplayName({ accountId, label, displayName }));
+  });
+
+  // About text ("" clears it). Body: { accountId, label, about }
+  r.post('/profile/about', requireUser, async (req, res) => {
+    const { accountId, label, about } = req.body || {};
+    if (!accountId || !label || typeof about !== 'string') return res.status(400).json({ error: 'accountId, label, about required' });
+    await run(req, res, { accountId, label }, () => sessions.setAbout({ accountId, label, about }));
+  });
+
+  // Picture. Body: { accountId, label, media } — same media shapes as /messages/sendMedia; media: null removes it
+  r.post('/profile/picture', requireUser, async (req, res) => {
+    const { accountId, label, media } = req.body || {};
+    if (!accountId || !label || media === undefined) return res.status(400).json({ error: 'accountId, label, media required' });
+    await run(req, res, { accountId, label }, () => sessions.setProfilePicture({ accountId, label, media }));
+  });
+
+  return r;
+}
@@ -0,0 +1,36 @@
+// Shared by the per-session routers: the error-message → status mapping and the
+// authorize / require-ready / answer wrapper around a direct session call.
+
+// 400 bad input, 404 unknown chat/message/group, 409 refused by WhatsApp, else 500.
+// Also used by the WS command replies, so both transports agree on the status.
+export function errorStatus(msg) {
+  if (/not found/i.test(msg)) return 404;
+  if (/^cannot/i.test(msg)) return 409;
+  if (/required|invalid|needs/i.test(msg)) return 400;
+  return 500;
+}
+
+// Answers with errorStatus(); a 500 carries `errorName` and the message as detail.
+export function sendError(res, e, errorName) {
+  const msg = String(e?.message || e);
+  const status = errorStatus(msg);
+  if (status === 500) return res.status(500).json({ error: errorName, detail: msg });
+  return res.status(status).json({ error: msg });
+}
+
+// run(req, res, { accountId, label }, fn, errorName): answers { ok: true, ...(await fn()) }.
+export function makeRunOnReady({ sessions, ensureAllowed }) {
+  return async function run(req, res, { accountId, label }, fn, errorName = 'request_failed') {
+    const allowed = await ensureAllowed(req, res, accountId, label);
+    if (!allowed) return;
+
+    const st = await sessions.ensureAwake({ accountId, label });
+    if (st !== 'ready') return res.status(409).json({ error: 'session not ready', status: st || null });
+
+    try {
+      res.json({ ok: true, ...(await fn()) });
+    } catch (e) {
+      sendError(res, e, errorName);
+    }
+  };
+}
@@ -0,0 +1,66 @@
+import { Router } from 'express';
+
+export function buildSearchRouter({ rbac, search, requireUser }) {
+  const r = Router();
+
+  // Full-text search over archived messages.
+  // ?accountId&q[&label][&chatId][&from][&to][&fromMe=true|false][&type=chat,image][&limit][&offset]
+  // Without `label`, searches every session the caller's ACL allows. Sessions whose index is still
+  // being built from the archive are skipped and listed under `indexing`; retry shortly.
+  r.get('/search/messages', requireUser, async (req, res) => {
+    const accountId = String(req.query.accountId || '');
+    const label = req.query.label ? String(req.query.label) : null;
+    const q = String(req.query.q || '').trim();
+    if (!accountId || !q) return res.status(400).json({ error: 'accountId, q required' });
+    if (!search.enabled) return res.status(409).json({ error: 'search needs the message archive enabled' });
+
+    const allowed = await rbac.allowedSessions(accountId, req.user.uid);
+    if (!allowed.role) return res.status(403).json({ error: 'not a member' });
+    if (label && !allowed.sessions.includes(label)) return res.status(403).json({ error: 'session not allowed by ACL' });
+    const labels = label ? [label] : allowed.sessions;
+
+    const fromMe = req.query.fromMe === 'true' ? true : req.query.fromMe === 'false' ? false : undefined;
+    const types = req.query.type ? String(req.query.type).split(',').map((t) => t.trim()).filter(Boolean) : [];
+
+    try {
+      const out = await search.search({
+        accountId,
+        labels,
+        q,
+        filters: {
+          chatId: req.query.chatId ? String(req.query.chatId) : null,
+          from: req.query.from ?? null,
+          to: req.query.to ?? null,
+          fromMe,
+          types,
+        },
+        limit: req.query.limit,
+        offset: req.query.offset,
+      });
+      res.json({ ok: true, q, labels, ...out });
+    } catch (e) {
+      const msg = String(e?.message || e);
+      if (/searchable term/.test(msg)) return res.status(400).json({ error: msg });
+      res.status(500).json({ error: 'search_failed', detail: msg });
+    }
+  });
+
+  // Re-read a session's index from the archive (Administrators).
+  r.post('/search/rebuild', requireUser, async (req, res) => {
+    const { accountId, label } = req.body || {};
+    if (!accountId || !label) return res.status(400).json({ error: 'accountId, label required' });
+
+    const role = await rbac.getRole(accountId, req.user.uid);
+    if (role !== 'Administrator') return res.status(403).json({ error: 'not an Administrator' });
+    if (!search.enabled) return res.status(409).json({ error: 'search needs the message archive enabled' });
+
+    try {
+      const stats = await search.rebuild({ accountId, label: String(label) });
+      res.json({ ok: true, accountId, label, ...stats });
+    } catch (e) {
+      res.status(500).json({ error: 'search_rebuild_failed', detail: String(e?.message || e) });
+    }
+  });
+
+  return r;
+}
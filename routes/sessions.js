@@ -22,7 +22,7 @@ export function buildSessionsRouter({ rbac, registry, sessions, requireUser, ens
     const allowed = await ensureAllowed(req, res, accountId, label, { requireAdmin: true });
     if (!allowed) return;
 
-    sessions.init({ accountId, label });
+    sessions.init({ accountId, label }, { priority: 'admin' }); // jumps the startup queue
     res.json({ ok: true, accountId, label, status: sessions.status({ accountId, label }) || 'starting' });
   });
 
@@ -64,6 +64,7 @@ export function buildSessionsRouter({ rbac, registry, sessions, requireUser, ens
       label,
       status: sessions.status({ accountId, label }),
       waId: await registry.getWaId(accountId, label),
+      health: sessions.health?.({ accountId, label }) || null, // last watchdog probe
     });
   });
 
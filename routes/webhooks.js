@@ -0,0 +1,104 @@
+import { Router } from 'express';
+
+// Webhook subscriptions + dead letters. Administrators of the account only.
+export function buildWebhooksRouter({ rbac, webhooks, requireUser }) {
+  const r = Router();
+
+  async function requireAdmin(req, res, accountId) {
+    if (!accountId) {
+      res.status(400).json({ error: 'accountId required' });
+      return false;
+    }
+    const role = await rbac.getRole(accountId, req.user.uid);
+    if (role !== 'Administrator') {
+      res.status(403).json({ error: 'not an Administrator' });
+      return false;
+    }
+    return true;
+  }
+
+  function fail(res, e, errorName) {
+    const msg = String(e?.message || e);
+    if (/not found/.test(msg)) return res.status(404).json({ error: msg });
+    if (/invalid|required/.test(msg)) return res.status(400).json({ error: msg });
+    res.status(500).json({ error: errorName, detail: msg });
+  }
+
+  // List (secrets masked)
+  r.get('/webhooks', requireUser, async (req, res) => {
+    const accountId = String(req.query.accountId || '');
+    if (!(await requireAdmin(req, res, accountId))) return;
+    try {
+      const list = await webhooks.list({ accountId });
+      res.json({ ok: true, count: list.length, webhooks: list });
+    } catch (e) { fail(res, e, 'webhooks_list_failed'); }
+  });
+
+  // Create. Body: { accountId, url, types?: [], sessions?: [], description?, secret? }
+  // The response carries the signing secret; it is masked everywhere else.
+  r.post('/webhooks', requireUser, async (req, res) => {
+    const { accountId, url, types = [], sessions = [], description = null, secret = null } = req.body || {};
+    if (!(await requireAdmin(req, res, accountId))) return;
+    if (!url) return res.status(400).json({ error: 'url required' });
+    try {
+      const webhook = await webhooks.create({ accountId, url, types, sessions, description, secret, createdBy: req.user.uid });
+      res.json({ ok: true, webhook });
+    } catch (e) { fail(res, e, 'webhook_create_failed'); }
+  });
+
+  // Update. Body: { accountId, id, url?, types?, sessions?, description?, enabled?, rotateSecret? }
+  r.post('/webhooks/update', requireUser, async (req, res) => {
+    const { accountId, id, ...patch } = req.body || {};
+    if (!(await requireAdmin(req, res, accountId))) return;
+    if (!id) return res.status(400).json({ error: 'id required' });
+    try {
+      const webhook = await webhooks.update({ accountId, id, patch });
+      res.json({ ok: true, webhook });
+    } catch (e) { fail(res, e, 'webhook_update_failed'); }
+  });
+
+  // Delete. Body: { accountId, id }
+  r.post('/webhooks/delete', requireUser, async (req, res) => {
+    const { accountId, id } = req.body || {};
+    if (!(await requireAdmin(req, res, accountId))) return;
+    if (!id) return res.status(400).json({ error: 'id required' });
+    try {
+      res.json({ ok: true, ...(await webhooks.remove({ accountId, id })) });
+    } catch (e) { fail(res, e, 'webhook_delete_failed'); }
+  });
+
+  // Send a signed { type: 'ping' } once and report the receiver's status. Body: { accountId, id }
+  r.post('/webhooks/ping', requireUser, async (req, res) => {
+    const { accountId, id } = req.body || {};
+    if (!(await requireAdmin(req, res, accountId))) return;
+    if (!id) return res.status(400).json({ error: 'id required' });
+    try {
+      res.json({ ok: true, result: await webhooks.ping({ accountId, id }) });
+    } catch (e) { fail(res, e, 'webhook_ping_failed'); }
+  });
+
+  // Dead letters. ?accountId[&webhookId][&limit]
+  r.get('/webhooks/deadLetters', requireUser, async (req, res) => {
+    const accountId = String(req.query.accountId || '');
+    if (!(await requireAdmin(req, res, accountId))) return;
+    try {
+      const items = await webhooks.listDeadLetters({
+        accountId,
+        webhookId: req.query.webhookId ? String(req.query.webhookId) : null,
+        limit: req.query.limit,
+      });
+      res.json({ ok: true, count: items.length, deadLetters: items });
+    } catch (e) { fail(res, e, 'dead_letters_failed'); }
+  });
+
+  // Replay. Body: { accountId, ids?: [deliveryId], webhookId?, limit? }
+  r.post('/webhooks/deadLetters/replay', requireUser, async (req, res) => {
+    const { accountId, ids = null, webhookId = null, limit = 100 } = req.body || {};
+    if (!(await requireAdmin(req, res, accountId))) return;
+    try {
+      res.status(202).json({ ok: true, ...(await webhooks.replay({ accountId, ids, webhookId, limit })) });
+    } catch (e) { fail(res, e, 'dead_letters_replay_failed'); }
+  });
+
+  return r;
+}
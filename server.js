@@ -17,7 +17,22 @@ import { createMetadata } from './lib/metadata.js';
 import { createRbac } from './lib/rbac.js';
 import { createSessionManager } from './lib/sessionManager.js';
 import { createWsHub } from './lib/wsHub.js';
+import { createWsCommands } from './lib/wsCommands.js';
 import { createSessionRegistry } from './lib/sessionRegistry.js';
+import { createAuthStore } from './lib/authStore.js';
+import { installShutdown } from './lib/shutdown.js';
+import { createSendQueue } from './lib/sendQueue.js';
+import { createIdempotencyStore } from './lib/idempotency.js';
+import { createMessageScheduler } from './lib/scheduler.js';
+import { createArchiver } from './lib/archiver.js';
+import { createSearchIndex } from './lib/searchIndex.js';
+import { createWebhookDispatcher } from './lib/webhooks.js';
+import outboundConfig from './config/outboundConfig.js';
+import archiveConfig from './config/archiveConfig.js';
+import searchConfig from './config/searchConfig.js';
+import webhookConfig from './config/webhookConfig.js';
+import wsConfig from './config/wsConfig.js';
+import sessionConfig from './config/sessionConfig.js';
 
 // ---------- route modules (existing) ----------
 import { buildHealthRouter } from './routes/health.js';
@@ -28,6 +43,11 @@ import { buildMessagesRouter } from './routes/messages.js';
 import { buildMediaRouter } from './routes/media.js';
 import { buildContactsRouter } from './routes/contacts.js';
 import { buildChatsRouter } from './routes/chats.js';
+import { buildSearchRouter } from './routes/search.js';
+import { buildGroupsRouter } from './routes/groups.js';
+import { buildPresenceRouter } from './routes/presence.js';
+import { buildProfileRouter } from './routes/profile.js';
+import { buildWebhooksRouter } from './routes/webhooks.js';
 
 import { initBot } from './bot/wiring/BotBootstrap.js';
 
@@ -55,14 +75,33 @@ app.options('*', (_req, res) => res.sendStatus(204));
 const meta = createMetadata();
 const rbac = createRbac({ db });
 const registry = createSessionRegistry({ db });
-const sessions = createSessionManager({ dataPath: './.wwebjs_auth', registry }); // WA LocalAuth + Firestore registry
+const authStore = createAuthStore(sessionConfig.auth, { dataPath: './.wwebjs_auth' }); // null → LocalAuth
+const sessions = createSessionManager({ dataPath: './.wwebjs_auth', registry, authStore, config: sessionConfig }); // WA auth + Firestore registry
+const sendQueue = createSendQueue({ db, sessions, config: outboundConfig }); // durable, rate-limited outbound
+const idempotency = createIdempotencyStore({ db, retentionMs: outboundConfig.idempotencyRetentionMs });
+const scheduler = createMessageScheduler({ // due sends go through sendQueue (same pacing)
+  db, sessions, sendQueue,
+  config: { ...outboundConfig.schedule, inlineMediaMaxChars: outboundConfig.inlineMediaMaxChars },
+});
+scheduler.start();
+const archiver = createArchiver({ db, sessions, registry, config: archiveConfig }); // no-op unless enabled
+archiver.start();
+const search = createSearchIndex({ db, sessions, archiver, config: searchConfig }); // built lazily from the archive
+search.start();
+const webhooks = createWebhookDispatcher({ db, sessions, config: webhookConfig }); // signed POSTs of bus events
+webhooks.start();
 
 // 🔸 Boot-time restore (idempotent).
 (async () => {
   try {
-    const restored = (await sessions.restoreAllFromFs?.()) ?? null;
+    // store-only logins start here only for accounts assigned to this VM (/admin/assignServer)
+    const instance = authStore ? await meta.instanceName() : '';
+    const ownsAccount = instance
+      ? async (accountId) => (await registry.getServer(accountId))?.instance === instance
+      : null;
+    const restored = (await sessions.restoreAllFromFs?.({ ownsAccount })) ?? null;
     if (restored !== null) {
-      console.log(`[boot] restored ${restored} WA session(s) from disk`);
+      console.log(`[boot] restored ${restored} WA session(s) from disk${ownsAccount ? ` and the auth store (accounts assigned to ${instance})` : ''}`);
     } else {
       console.log('[boot] restoreAllFromFs() not available; skip disk restore');
     }
@@ -105,11 +144,11 @@ async function ensureAllowed(req, res, accountId, label, { requireAdmin = false
 }
 
 // ---------- Mount routers (all original endpoints preserved) ----------
-app.use(buildHealthRouter());
-app.use(buildAdminRouter({ db, meta, rbac, requireUser }));
+app.use(buildHealthRouter({ wsStats: () => wsHub.stats() })); // wsHub is created below; only read per request
+app.use(buildAdminRouter({ db, meta, rbac, archiver, requireUser }));
 app.use(buildSessionsRouter({ rbac, registry, sessions, requireUser, ensureAllowed }));
 app.use(buildAclRouter({ rbac, requireUser }));
-app.use(buildMessagesRouter({ sessions, requireUser, ensureAllowed }));
+app.use(buildMessagesRouter({ sessions, sendQueue, idempotency, scheduler, requireUser, ensureAllowed }));
 app.use(buildMediaRouter({ sessions, requireUser, ensureAllowed }));
 
 // ⬇️ pass Firestore into contacts router (now persists to /accounts/{aid}/sessions/{label}/...)
@@ -117,18 +156,32 @@ app.use(buildContactsRouter({ db, sessions, requireUser, ensureAllowed }));
 
 
 app.use(buildChatsRouter({ sessions, requireUser, ensureAllowed }));
+app.use(buildSearchRouter({ rbac, search, requireUser }));
+app.use(buildGroupsRouter({ sessions, requireUser, ensureAllowed }));
+app.use(buildPresenceRouter({ sessions, requireUser, ensureAllowed }));
+app.use(buildProfileRouter({ sessions, requireUser, ensureAllowed }));
+app.use(buildWebhooksRouter({ rbac, webhooks, requireUser }));
 
 // ---------- WS hub ----------
 const server = http.createServer(app);
-createWsHub({
+const wsHub = createWsHub({
   server,
   authAdmin,
   rbac,
   sessions,
-  maxConnections: 2000,
+  maxConnections: wsConfig.maxConnections,
+  replay: wsConfig.replay,
+  archive: archiver, // older resume gaps are read back from the message archive (when enabled)
+  commands: createWsCommands({ sessions, sendQueue }),
+  maxInFlight: wsConfig.commands.maxInFlight,
+  backpressure: wsConfig.backpressure,
+  tokens: wsConfig.tokens,
 });
 
-initBot({ db, sessions });
+const bot = initBot({ db, sessions, sendQueue });
+
+// ---------- Graceful shutdown (systemd sends SIGINT) ----------
+installShutdown({ server, wsHub, sessions, sendQueue, scheduler, bot, archiver, webhooks });
 
 // ---------- Start ----------
 server.listen(PORT, () =>